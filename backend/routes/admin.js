@@ -4,12 +4,41 @@
  * POST /api/admin/pause   — pause the system
  * POST /api/admin/resume  — resume the system
  * GET  /api/admin/ledger  — last 20 ledger entries
+ * GET  /api/admin/ledger/query — filtered, cursor-paginated ledger entries
+ * GET  /api/admin/ledger/export — audit bundle (?format=json|csv)
+ * GET  /api/admin/integrity — full integrity check + forensic report
+ * POST /api/admin/ledger/reversal   — reverse a payout { ref, reason }
+ * POST /api/admin/ledger/adjustment — adjust a payout { ref, amount, reason }
+ * POST /api/admin/keys/rotate — rotate the ledger signing key
+ * GET  /api/admin/rules        — validation rules in force
+ * POST /api/admin/rules/reload — re-read and validate the rules file
+ * GET  /api/admin/reviews      — manual review queue (?status=pending|approved|denied)
+ * GET  /api/admin/reviews/:id  — one review
+ * POST /api/admin/reviews/:id/approve — pay a referred claim { reviewer, comment }
+ * POST /api/admin/reviews/:id/deny    — close a referred claim unpaid { reviewer, comment }
+ * GET  /api/admin/replay          — replay store size and limits
+ * GET  /api/admin/replay/:citizen — a citizen's replay entries and clear history (12-digit ID or hash)
+ * POST /api/admin/replay/clear    — let a citizen claim again { citizen, scheme, reason, operator }
+ * GET  /api/admin/registry        — registry being served + last reload outcome
+ * GET  /api/admin/registry/quality — data-quality issues by row (?rule=&limit=)
+ * POST /api/admin/registry/reload — re-read the registry file and swap it in { force? }
  */
 
 const express = require('express');
 const router = express.Router();
 const state = require('../services/state');
-const { verifyIntegrity, getLastLines } = require('../services/ledger');
+const { verifyIntegrity, getLastLines, rotateKey, getIntegrityReport, queryEntries, exportBundle, ENTRY_TYPES } = require('../services/ledger');
+const corrections = require('../services/corrections');
+const rules = require('../services/rules');
+const quotas = require('../services/quotas');
+const reviewQueue = require('../services/reviewQueue');
+const { approveReview } = require('../services/validator');
+const replayStore = require('../services/replayStore');
+const { hashCitizenId, reloadRegistry, getRegistryInfo, getQualityReport } = require('../services/registry');
+const { RULES: QUALITY_RULES } = require('../services/registryQuality');
+const { resolve: resolveCitizenHash } = require('../services/citizenHash');
+const { CHECKSUM_MODE } = require('../services/claimInput');
+const { replayWindowDays } = require('../services/gates');
 
 // GET /api/admin/status
 router.get('/status', (req, res) => {
@@ -20,7 +49,13 @@ router.get('/status', (req, res) => {
         budget: s.budget,
         initialBudget: s.initialBudget,
         transactionCount: s.transactionCount,
+        pools: Object.values(s.pools),
+        regions: quotas.getRegionSpend(),
+        regionalQuotas: rules.getRules().gates
+            .filter(g => g.type === 'regionalQuota')
+            .map(g => ({ gate: g.name, ...g.params })),
         ledgerIntegrity,
+        citizenIdChecksum: CHECKSUM_MODE,
     });
 });
 
@@ -44,4 +79,224 @@ router.get('/ledger', (req, res) => {
     res.json({ entries });
 });
 
+// GET /api/admin/ledger/query
+// ?scheme=&type=&citizenHash=&minAmount=&maxAmount=&from=&to=&cursor=&limit=&order=asc|desc
+router.get('/ledger/query', (req, res) => {
+    const { scheme, type, citizenHash, minAmount, maxAmount, from, to, cursor, limit, order } = req.query;
+    const q = {};
+    const bad = (msg) => res.status(400).json({ error: msg });
+
+    if (scheme) q.scheme = String(scheme).trim();
+    if (type) {
+        q.type = String(type).trim().toUpperCase();
+        if (!ENTRY_TYPES.includes(q.type)) return bad(`type must be one of ${ENTRY_TYPES.join(', ')}.`);
+    }
+    if (citizenHash) {
+        q.citizenHash = String(citizenHash).trim().toLowerCase();
+        if (!/^[0-9a-f]{64}$/.test(q.citizenHash)) return bad('citizenHash must be a 64-character hex citizen hash.');
+        q.citizenHash = resolveCitizenHash(q.citizenHash);
+    }
+    for (const [key, value] of [['minAmount', minAmount], ['maxAmount', maxAmount], ['cursor', cursor], ['limit', limit]]) {
+        if (value === undefined || value === '') continue;
+        q[key] = Number(value);
+        if (!Number.isFinite(q[key])) return bad(`${key} must be a number.`);
+    }
+    // Bounds are compared against the ledger's UTC ISO timestamps, so offsets
+    // are normalised here; a bare date as `to` covers that whole (UTC) day.
+    for (const [key, value] of [['from', from], ['to', to]]) {
+        if (!value) continue;
+        const at = new Date(String(value)).getTime();
+        if (isNaN(at)) return bad(`${key} must be an ISO date or timestamp.`);
+        const wholeDay = key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(String(value).trim());
+        q[key] = new Date(wholeDay ? at + 86400000 - 1 : at).toISOString();
+    }
+    if (order) {
+        if (order !== 'asc' && order !== 'desc') return bad('order must be "asc" or "desc".');
+        q.order = order;
+    }
+
+    res.json(queryEntries(q));
+});
+
+const CSV_COLUMNS = [
+    'line', 'version', 'type', 'timestamp', 'citizenHash', 'scheme', 'amount', 'ref', 'reason',
+    'newKeyId', 'newPepperId', 'prevHash', 'currHash', 'keyId', 'signature',
+];
+
+function csvCell(value) {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// GET /api/admin/ledger/export?format=json|csv
+// JSON: the full bundle (manifest, raw ledger + meta, keyring, entries).
+// CSV: one row per ledger line; the manifest travels in X-Ledger-* headers.
+router.get('/ledger/export', (req, res) => {
+    const fmt = String(req.query.format || 'json').toLowerCase();
+    if (fmt !== 'json' && fmt !== 'csv') {
+        return res.status(400).json({ error: 'format must be "json" or "csv".' });
+    }
+
+    const bundle = exportBundle();
+    const { manifest } = bundle;
+    const stamp = manifest.exportedAt.replace(/[:.]/g, '-');
+
+    if (fmt === 'json') {
+        res.setHeader('Content-Disposition', `attachment; filename="ledger-export-${stamp}.json"`);
+        return res.json(bundle);
+    }
+
+    const rows = bundle.entries.map(e => CSV_COLUMNS.map(c => csvCell(e[c])).join(','));
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="ledger-export-${stamp}.csv"`);
+    res.setHeader('X-Ledger-Chain-Head', manifest.chainHead);
+    res.setHeader('X-Ledger-File-Hash', manifest.fileHash);
+    res.setHeader('X-Ledger-Meta-Hash', manifest.metaHash || '');
+    res.setHeader('X-Ledger-Manifest', Buffer.from(JSON.stringify(manifest)).toString('base64'));
+    res.send([CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n');
+});
+
+// Corrections are ledger writes — refuse them while the ledger fails verification
+function requireIntactLedger(req, res, next) {
+    if (!verifyIntegrity()) {
+        return res.status(409).json({ success: false, error: 'Ledger integrity check failed. Corrections are blocked.' });
+    }
+    next();
+}
+
+// POST /api/admin/ledger/reversal
+router.post('/ledger/reversal', requireIntactLedger, (req, res) => {
+    const { ref, reason } = req.body || {};
+    const result = corrections.reverse({ ref: String(ref || '').trim().toLowerCase(), reason });
+    res.status(result.success ? 200 : 400).json(result);
+});
+
+// POST /api/admin/ledger/adjustment
+router.post('/ledger/adjustment', requireIntactLedger, (req, res) => {
+    const { ref, amount, reason } = req.body || {};
+    const result = corrections.adjust({ ref: String(ref || '').trim().toLowerCase(), amount, reason });
+    res.status(result.success ? 200 : 400).json(result);
+});
+
+// GET /api/admin/integrity
+router.get('/integrity', (req, res) => {
+    verifyIntegrity({ full: true });
+    res.json(getIntegrityReport());
+});
+
+// POST /api/admin/keys/rotate
+router.post('/keys/rotate', (req, res) => {
+    if (state.getState().status === 'frozen') {
+        return res.status(409).json({ success: false, error: 'System is frozen. Key rotation is blocked.' });
+    }
+    const rotation = rotateKey();
+    res.json({ success: true, ...rotation });
+});
+
+// GET /api/admin/rules
+router.get('/rules', (req, res) => {
+    res.json(rules.getRules());
+});
+
+// POST /api/admin/rules/reload — an invalid file is rejected; current rules stay live
+router.post('/rules/reload', (req, res) => {
+    const result = rules.reloadRules();
+    res.status(result.success ? 200 : 422).json(result);
+});
+
+// GET /api/admin/reviews
+router.get('/reviews', (req, res) => {
+    const { status } = req.query;
+    if (status && !reviewQueue.STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of ${reviewQueue.STATUSES.join(', ')}.` });
+    }
+    const reviews = reviewQueue.list({ status });
+    res.json({ count: reviews.length, reviews });
+});
+
+// GET /api/admin/reviews/:id
+router.get('/reviews/:id', (req, res) => {
+    const review = reviewQueue.get(req.params.id);
+    if (!review) return res.status(404).json({ error: 'No review with this id.' });
+    res.json(review);
+});
+
+// POST /api/admin/reviews/:id/approve — re-runs the gates; a blocking gate answers 409
+router.post('/reviews/:id/approve', requireIntactLedger, (req, res) => {
+    const { reviewer, comment } = req.body || {};
+    const result = approveReview(req.params.id, { reviewer, comment });
+    res.status(result.success ? 200 : result.gate ? 409 : 400).json(result);
+});
+
+// POST /api/admin/reviews/:id/deny
+router.post('/reviews/:id/deny', (req, res) => {
+    const { reviewer, comment } = req.body || {};
+    const result = reviewQueue.deny(req.params.id, { reviewer, comment });
+    res.status(result.success ? 200 : 400).json(result);
+});
+
+// A raw 12-digit Citizen ID is hashed on arrival; a 64-hex citizen hash from
+// before a pepper rotation is mapped to the current one
+function citizenHashOf(value) {
+    const text = String(value || '').trim();
+    if (/^\d{12}$/.test(text)) return hashCitizenId(text);
+    if (/^[0-9a-f]{64}$/i.test(text)) return resolveCitizenHash(text.toLowerCase());
+    return null;
+}
+
+// GET /api/admin/replay
+router.get('/replay', (req, res) => {
+    res.json(replayStore.getStats());
+});
+
+// GET /api/admin/replay/:citizen
+router.get('/replay/:citizen', (req, res) => {
+    const citizenHash = citizenHashOf(req.params.citizen);
+    if (!citizenHash) return res.status(400).json({ error: 'Give a 12-digit Citizen ID or a 64-character citizen hash.' });
+
+    const gate = rules.getRules().gates.find(g => g.type === 'replay');
+    const entries = replayStore.entriesFor(citizenHash).map(e => {
+        const windowDays = replayWindowDays(gate.params, e.scheme);
+        return {
+            ...e,
+            windowDays,
+            blockedUntil: windowDays === 0 ? null : new Date(Date.parse(e.paidAt) + windowDays * 86400000).toISOString(),
+        };
+    });
+    res.json({ citizenHash, entries, clears: replayStore.clearsFor(citizenHash) });
+});
+
+// POST /api/admin/replay/clear
+router.post('/replay/clear', (req, res) => {
+    const { citizen, scheme, reason, operator } = req.body || {};
+    const citizenHash = citizenHashOf(citizen);
+    if (!citizenHash) return res.status(400).json({ success: false, error: 'Give a 12-digit Citizen ID or a 64-character citizen hash.' });
+    if (!String(scheme || '').trim()) return res.status(400).json({ success: false, error: 'scheme is required.' });
+
+    const result = replayStore.clear({ citizenHash, scheme, reason, operator });
+    res.status(result.success ? 200 : 400).json(result);
+});
+
+// GET /api/admin/registry
+router.get('/registry', (req, res) => {
+    res.json(getRegistryInfo());
+});
+
+// GET /api/admin/registry/quality
+router.get('/registry/quality', (req, res) => {
+    const { rule } = req.query;
+    if (rule && !QUALITY_RULES.includes(rule)) {
+        return res.status(400).json({ success: false, error: `rule must be one of ${QUALITY_RULES.join(', ')}.` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 500, 1), 5000);
+    res.json(getQualityReport({ rule, limit }));
+});
+
+// POST /api/admin/registry/reload — on failure the current registry stays live (422)
+router.post('/registry/reload', async (req, res) => {
+    const result = await reloadRegistry({ force: Boolean((req.body || {}).force) });
+    res.status(result.success ? 200 : result.busy ? 409 : 422).json(result);
+});
+
 module.exports = router;
@@ -1,42 +1,94 @@
 /**
- * routes/claim.js — POST /api/claim
- * Accepts { citizen_id, scheme }, runs the 5-gate validator, returns result.
+ * routes/claim.js — Claim API
+ * POST /api/claim       — { citizen_id, scheme }, runs the validator, pays out on approval
+ * POST /api/claim/check — same gates, dry run: nothing is deducted or recorded
+ * POST /api/claim/batch — CSV/XLSX file body, every row through the validator;
+ *                         answers with a results file (?format=csv|xlsx, default: as uploaded)
  * Raw citizen_id is hashed immediately and never stored or echoed.
+ *
+ * POST /api/claim honours an Idempotency-Key header: a retry with the same key
+ * returns the first attempt's result (see services/idempotency.js).
  */
 
 const express = require('express');
 const router = express.Router();
-const { validate } = require('../services/validator');
+const { validate, check } = require('../services/validator');
+const { checkClaimInput } = require('../services/claimInput');
+const batch = require('../services/batch');
+const idempotency = require('../services/idempotency');
 
-router.post('/', (req, res) => {
-    const { citizen_id, scheme } = req.body;
-
-    // Basic input presence check
-    if (!citizen_id || !scheme) {
-        return res.status(400).json({
-            approved: false,
-            gate: 'Input',
-            reason: 'Missing required fields: citizen_id and scheme.',
-        });
+/**
+ * Check the request body; sends a 400 and returns null if it is unusable.
+ * @returns {{ citizenId: string, scheme: string } | null}
+ */
+function readClaim(req, res) {
+    const { claim, rejection } = checkClaimInput(req.body || {});
+    if (rejection) {
+        res.status(400).json(rejection);
+        return null;
     }
+    return claim;
+}
 
-    // Validate Citizen ID format: exactly 12 digits
-    const cidStr = String(citizen_id).trim();
-    if (!/^\d{12}$/.test(cidStr)) {
+/** Ensure citizenHash is NEVER sent back in the response. */
+function safe(result) {
+    const { citizenHash, ...safeResult } = result; // eslint-disable-line no-unused-vars
+    return safeResult;
+}
+
+router.post('/', (req, res) => {
+    const claim = readClaim(req, res);
+    if (!claim) return;
+
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (idempotencyKey !== undefined && !idempotency.isValidKey(idempotencyKey)) {
         return res.status(400).json({
             approved: false,
             gate: 'Input',
-            reason: 'Invalid Citizen ID format. Must be exactly 12 digits.',
+            reason: 'Invalid Idempotency-Key. Use 1–255 visible ASCII characters (e.g. a UUID).',
         });
     }
 
     // Run sequential validation engine (hash is created inside validate)
-    const result = validate({ citizenId: cidStr, scheme: String(scheme).trim() });
+    const result = validate({ ...claim, idempotencyKey });
+    if (result.idempotentReplay) res.setHeader('Idempotent-Replayed', 'true');
+    return res.status(result.gate === 'Idempotency' ? 422 : 200).json(safe(result));
+});
 
-    // Ensure citizenHash is NEVER sent back in the response
-    const { citizenHash, ...safeResult } = result; // eslint-disable-line no-unused-vars
+// Pre-screening for kiosks: the same gates and reasons, plus nextEligibleDate
+// when the frequency gate blocks
+router.post('/check', (req, res) => {
+    const claim = readClaim(req, res);
+    if (!claim) return;
+
+    return res.json(safe(check(claim)));
+});
 
-    return res.json(safeResult);
+// The file is the raw request body (Content-Type text/csv, the XLSX type or
+// application/octet-stream). Totals travel in X-Batch-Totals (base64 JSON).
+router.post('/batch', express.raw({ type: () => true, limit: process.env.BATCH_MAX_BYTES || '20mb' }), async (req, res) => {
+    const parsed = batch.parseBatchFile(req.body);
+    if (parsed.error) return res.status(400).json({ success: false, error: parsed.error });
+
+    const format = req.query.format || parsed.format;
+    if (!['csv', 'xlsx'].includes(format)) {
+        return res.status(400).json({ success: false, error: 'format must be csv or xlsx.' });
+    }
+
+    try {
+        const result = await batch.runBatch(parsed.rows);
+        const stamp = result.totals.startedAt.replace(/[:.]/g, '-');
+
+        res.setHeader('Content-Type', format === 'xlsx'
+            ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+            : 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="batch-results-${stamp}.${format}"`);
+        res.setHeader('X-Batch-Totals', Buffer.from(JSON.stringify(result.totals)).toString('base64'));
+        res.send(batch.writeResults(result, format));
+    } catch (err) {
+        console.error('[BATCH] ✗ Batch failed:', err.message);
+        res.status(500).json({ success: false, error: `Batch failed: ${err.message}` });
+    }
 });
 
 module.exports = router;
@@ -0,0 +1,38 @@
+/**
+ * routes/ledger.js — Public Ledger Proofs
+ * GET /api/ledger/proof/:currentHash — Merkle inclusion proof for one entry
+ * GET /api/ledger/keys                — Ed25519 public keys that sign the ledger
+ *
+ * Lets an auditor or citizen prove a single disbursement is in the ledger
+ * without access to the full file. Verify by hashing up the path:
+ *   left  sibling → SHA256(0x01 || sibling || acc)
+ *   right sibling → SHA256(0x01 || acc || sibling)
+ * starting from `leaf`; the result must equal `root`.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getProof, getActiveKeyId } = require('../services/ledger');
+const { listPublicKeys } = require('../services/signer');
+
+// GET /api/ledger/proof/:currentHash
+router.get('/proof/:currentHash', (req, res) => {
+    const currentHash = String(req.params.currentHash).trim().toLowerCase();
+    if (!/^[0-9a-f]{64}$/.test(currentHash)) {
+        return res.status(400).json({ error: 'Invalid hash. Must be a 64-character hex SHA-256.' });
+    }
+
+    const proof = getProof(currentHash);
+    if (!proof) {
+        return res.status(404).json({ error: 'No ledger entry with this CurrentHash.' });
+    }
+
+    res.json({ currentHash, ...proof });
+});
+
+// GET /api/ledger/keys
+router.get('/keys', (req, res) => {
+    res.json({ activeKeyId: getActiveKeyId(), keys: listPublicKeys() });
+});
+
+module.exports = router;
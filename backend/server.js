@@ -22,6 +22,7 @@ app.use(express.static(DIST));
 // ── API Routes ──────────────────────────────────────────────────────────────
 app.use('/api/claim', require('./routes/claim'));
 app.use('/api/admin', require('./routes/admin'));
+app.use('/api/ledger', require('./routes/ledger'));
 
 // Scheme list (populated from registry on startup)
 app.get('/api/schemes', (req, res) => {
@@ -35,11 +36,27 @@ app.get('*', (req, res) => {
 });
 
 // ── Startup Initialisation ──────────────────────────────────────────────────
+const { loadRules } = require('./services/rules');
 const { loadRegistry } = require('./services/registry');
-const { verifyIntegrity } = require('./services/ledger');
-
+const { openLedger, verifyIntegrity, getEntries } = require('./services/ledger');
+const { restoreFromLedger } = require('./services/validator');
+
+// One server per ledger: take the lock before anything else, even while idle
+try {
+    openLedger();
+} catch (err) {
+    console.error(`[LEDGER] ✗ ${err.message} Refusing to start.`);
+    process.exit(1);
+}
+
+loadRules();             // Load + validate gate pipeline (config/rules.json)
 loadRegistry();          // Load Excel → in-memory hash map
-verifyIntegrity();       // Verify ledger hash chain; freeze if tampered
+if (verifyIntegrity()) { // Verify ledger hash chain; freeze if tampered
+    restoreFromLedger(getEntries());   // Replay payouts → budget, tx count, replay set
+}
+
+// Exit cleanly on Ctrl+C / service stop so exit hooks (ledger lock release) run
+['SIGINT', 'SIGTERM'].forEach(sig => process.on(sig, () => process.exit(0)));
 
 app.listen(PORT, () => {
     console.log(`\n✅  Jan-Dhan Gateway running → http://localhost:${PORT}\n`);
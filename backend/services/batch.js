@@ -0,0 +1,194 @@
+/**
+ * batch.js — Bulk Disbursement
+ *
+ * Runs a beneficiary list (CSV or XLSX, first sheet, columns citizen_id and
+ * scheme — header case and spacing ignored) through the same input checks
+ * and validate() as single claims, one row at a time in file order.
+ *
+ * Between rows the event loop is given back, so an admin pause (or a freeze
+ * raised by a row) takes effect mid-batch: the batch stops before the next
+ * row and every remaining row is reported as skipped, never half-processed.
+ * A row whose validation throws (ledger lock, storage failure) is reported as
+ * an error and stops the batch the same way, so the rows already paid still
+ * come back in the results file.
+ *
+ * Results echo only the last four digits of each Citizen ID.
+ */
+
+const XLSX = require('xlsx');
+const state = require('./state');
+const { validate } = require('./validator');
+const { checkClaimInput } = require('./claimInput');
+
+const MAX_ROWS = parseInt(process.env.BATCH_MAX_ROWS, 10) || 10000;
+
+const RESULT_COLUMNS = ['row', 'citizen_id', 'scheme', 'status', 'gate', 'reason', 'amount', 'ledgerHash', 'reviewId'];
+
+/** 'Citizen ID' / 'CITIZEN_ID' / 'citizen_id' → 'citizen_id' */
+function columnKey(name) {
+    return String(name).trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/** Cell → Citizen ID text. Spreadsheets may hold the ID as a number. */
+function idText(value) {
+    if (typeof value === 'number') return Number.isInteger(value) ? String(value).padStart(12, '0') : String(value);
+    return String(value ?? '').trim();
+}
+
+function maskId(id) {
+    return id.length > 4 ? `${'X'.repeat(id.length - 4)}${id.slice(-4)}` : id;
+}
+
+/**
+ * Read an uploaded file into rows.
+ * @param {Buffer} buffer — CSV or XLSX bytes
+ * @returns {{ format: 'csv'|'xlsx', rows: Array<{ row: number, citizen_id: string, scheme: string }> } | { error: string }}
+ */
+function parseBatchFile(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) return { error: 'Upload a CSV or XLSX file as the request body.' };
+
+    // XLSX files are zip archives ("PK"); anything else is read as CSV text
+    const format = buffer[0] === 0x50 && buffer[1] === 0x4b ? 'xlsx' : 'csv';
+    let sheet;
+    try {
+        const wb = XLSX.read(buffer, { type: 'buffer', raw: true, cellDates: true });
+        sheet = wb.Sheets[wb.SheetNames[0]];
+    } catch (err) {
+        return { error: `Cannot read the file as ${format.toUpperCase()}: ${err.message}` };
+    }
+    if (!sheet) return { error: 'The file has no sheets.' };
+
+    const raw = XLSX.utils.sheet_to_json(sheet, { defval: '' });
+    if (raw.length === 0) return { error: 'The file has no data rows.' };
+    if (raw.length > MAX_ROWS) return { error: `The file has ${raw.length} rows; the limit is ${MAX_ROWS} per batch.` };
+
+    const columns = Object.keys(raw[0]).map(columnKey);
+    for (const needed of ['citizen_id', 'scheme']) {
+        if (!columns.includes(needed)) return { error: `Missing column "${needed}" (found: ${columns.join(', ') || 'none'}).` };
+    }
+
+    const rows = raw.map((r, i) => {
+        const cells = {};
+        for (const [name, value] of Object.entries(r)) cells[columnKey(name)] = value;
+        // Header is spreadsheet row 1, so data starts at row 2
+        return { row: i + 2, citizen_id: idText(cells.citizen_id), scheme: String(cells.scheme ?? '').trim() };
+    });
+    return { format, rows };
+}
+
+/**
+ * Validate rows in order, stopping before the next row once the system is
+ * no longer active.
+ * @param {Array<{ row: number, citizen_id: string, scheme: string }>} rows
+ * @returns {Promise<{ results: object[], totals: object }>}
+ */
+async function runBatch(rows) {
+    const results = [];
+    const totals = {
+        rows: rows.length, processed: 0, approved: 0, rejected: 0, referred: 0, errors: 0, skipped: 0,
+        amountDisbursed: 0, byGate: {}, stopped: false, stoppedAtRow: null, stopReason: null,
+        startedAt: new Date().toISOString(), finishedAt: null,
+    };
+
+    for (const input of rows) {
+        const { status } = state.getState();
+        if (status !== 'active') {
+            totals.stopped = true;
+            totals.stoppedAtRow = input.row;
+            totals.stopReason = `System is ${status.toUpperCase()}.`;
+            break;
+        }
+
+        let result;
+        try {
+            const { claim, rejection } = checkClaimInput(input);
+            result = rejection || validate(claim);
+        } catch (err) {
+            console.error(`[BATCH] ✗ Row ${input.row} failed: ${err.message}`);
+            totals.processed += 1;
+            totals.errors += 1;
+            totals.stopped = true;
+            totals.stoppedAtRow = input.row;
+            totals.stopReason = `Row ${input.row} failed: ${err.message}`;
+            results.push({
+                row: input.row,
+                citizen_id: maskId(input.citizen_id),
+                scheme: input.scheme,
+                status: 'error',
+                gate: '',
+                reason: `${err.message} — outcome unknown; check the ledger before resubmitting this row.`,
+                amount: '',
+                ledgerHash: '',
+                reviewId: '',
+            });
+            break;
+        }
+
+        totals.processed += 1;
+        totals.byGate[result.gate] = (totals.byGate[result.gate] || 0) + 1;
+        if (result.approved) {
+            totals.approved += 1;
+            totals.amountDisbursed += result.amount;
+        } else {
+            totals.rejected += 1;
+            if (result.reviewId) totals.referred += 1;
+        }
+
+        results.push({
+            row: input.row,
+            citizen_id: maskId(input.citizen_id),
+            scheme: input.scheme,
+            status: result.approved ? 'approved' : 'rejected',
+            gate: result.gate,
+            reason: result.reason,
+            amount: result.approved ? result.amount : '',
+            ledgerHash: result.ledgerHash || '',
+            reviewId: result.reviewId || '',
+        });
+
+        // Let pause/resume requests in before the next row
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    for (const input of rows.slice(results.length)) {
+        totals.skipped += 1;
+        results.push({
+            row: input.row,
+            citizen_id: maskId(input.citizen_id),
+            scheme: input.scheme,
+            status: 'skipped',
+            gate: '',
+            reason: `Not processed: batch stopped at row ${totals.stoppedAtRow}. ${totals.stopReason}`,
+            amount: '',
+            ledgerHash: '',
+            reviewId: '',
+        });
+    }
+
+    totals.finishedAt = new Date().toISOString();
+    console.log(`[BATCH] ${totals.stopped ? '⚠ Stopped' : '✓ Finished'} | ${totals.processed}/${totals.rows} row(s) | ` +
+        `${totals.approved} approved, ${totals.rejected} rejected, ${totals.errors} error(s), ${totals.skipped} skipped | ₹${totals.amountDisbursed}`);
+    return { results, totals };
+}
+
+/**
+ * Results file: per-row sheet, plus a Totals sheet for XLSX (CSV carries
+ * only the rows; totals travel alongside).
+ * @param {{ results: object[], totals: object }} batch
+ * @param {'csv'|'xlsx'} format
+ * @returns {Buffer}
+ */
+function writeResults({ results, totals }, format) {
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(results, { header: RESULT_COLUMNS }), 'Results');
+    if (format === 'xlsx') {
+        const summary = Object.entries(totals).map(([key, value]) => ({
+            total: key,
+            value: value && typeof value === 'object' ? JSON.stringify(value) : value ?? '',
+        }));
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(summary), 'Totals');
+    }
+    return XLSX.write(wb, { type: 'buffer', bookType: format });
+}
+
+module.exports = { parseBatchFile, runBatch, writeResults, MAX_ROWS };
@@ -0,0 +1,248 @@
+/**
+ * citizenHash.js — Keyed Citizen ID Hashing
+ *
+ * Citizen IDs are stored only as HMAC-SHA-256(pepper, 12-digit ID). A plain
+ * SHA-256 of a 12-digit number can be reversed by trying all 10^12 IDs; the
+ * pepper, a 32-byte server secret, makes that impossible without it.
+ *
+ * The pepper lives OUTSIDE the repo and the data directory, next to the
+ * ledger signing keys (CITIZEN_PEPPER_FILE, default keys/citizen_pepper.json,
+ * mode 0600):
+ *   { "active": { pepperId, secret, createdAt } | null,
+ *     "pending": { … } | null,                 — mid-rotation, see below
+ *     "retired": [{ pepperId, retiredAt }],    — ids only, secrets are discarded
+ *     "linkKey": base64 | null }               — keys the link files, kept for good
+ * PepperId = first 16 hex chars of SHA256(secret): it names a pepper without
+ * revealing it. No pepper at all means the legacy plain SHA-256.
+ *
+ * Rotation (scripts/rotate_pepper.js, server stopped) writes a link file
+ * LINKS_DIR/<newPepperId>.json (default data/citizen_links, mode 0600) mapping
+ * HMAC-SHA-256(linkKey, old hash) to the citizen's hash under the new pepper
+ * for every citizen hash the ledger knows, then a PEPPER_ROTATION ledger
+ * record { oldPepperId, newPepperId, linkCount, linksHash = SHA256(canonical
+ * JSON of the links) }, signed like every line. Ledger lines are never
+ * rewritten: on every integrity check the link files are checked against
+ * their records, and resolve() maps any hash the ledger recorded for a
+ * citizen to the current one, so replay windows, claim counts and citizen
+ * queries carry across rotations. Keying the old side means a link file
+ * cannot be joined to ledger hashes without the pepper file.
+ *
+ * Limitation: hashes written before the first rotation stay plain SHA-256 in
+ * the ledger lines (and in export bundles). Anyone holding a copy of the
+ * ledger can still recover those Citizen IDs by trying all 10^12 of them;
+ * rotation protects only the records written after it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { sha256, canonicalJson } = require('./ledgerFormat');
+const { writeFileAtomic } = require('./ledgerStoreFile');
+
+const PEPPER_FILE = process.env.CITIZEN_PEPPER_FILE ||
+    path.join(process.env.LEDGER_KEY_DIR || path.join(__dirname, '..', '..', 'keys'), 'citizen_pepper.json');
+const LINKS_DIR = process.env.CITIZEN_LINKS_DIR || path.join(__dirname, '..', '..', 'data', 'citizen_links');
+
+let pepperDoc = null;
+let activeSecret = null;
+let linkKey = null;
+// Keyed id of any hash recorded under an earlier pepper → the citizen's current hash
+let aliases = new Map();
+
+// ─── Pepper ─────────────────────────────────────────────────────────────────
+
+function pepperIdOf(secret) {
+    return crypto.createHash('sha256').update(Buffer.from(secret, 'base64')).digest('hex').slice(0, 16);
+}
+
+/** A new random pepper record (not saved). */
+function createPepper() {
+    const secret = crypto.randomBytes(32).toString('base64');
+    return { pepperId: pepperIdOf(secret), secret, createdAt: new Date().toISOString() };
+}
+
+/** A new random link key (not saved). */
+function createLinkKey() {
+    return crypto.randomBytes(32).toString('base64');
+}
+
+/** The pepper file, or an empty one if it does not exist yet. */
+function readPepperFile() {
+    if (!fs.existsSync(PEPPER_FILE)) return { active: null, pending: null, retired: [], linkKey: null };
+    const doc = JSON.parse(fs.readFileSync(PEPPER_FILE, 'utf-8'));
+    for (const pepper of [doc.active, doc.pending].filter(Boolean)) {
+        if (pepperIdOf(pepper.secret) !== pepper.pepperId) throw new Error(`${PEPPER_FILE}: pepper ${pepper.pepperId} does not match its secret.`);
+    }
+    return { active: doc.active || null, pending: doc.pending || null, retired: doc.retired || [], linkKey: doc.linkKey || null };
+}
+
+function savePepperFile(doc) {
+    fs.mkdirSync(path.dirname(PEPPER_FILE), { recursive: true });
+    writeFileAtomic(PEPPER_FILE, JSON.stringify(doc, null, 2));
+    fs.chmodSync(PEPPER_FILE, 0o600);
+    pepperDoc = null;
+}
+
+function loadPepper() {
+    if (pepperDoc) return;
+    pepperDoc = readPepperFile();
+    activeSecret = pepperDoc.active ? Buffer.from(pepperDoc.active.secret, 'base64') : null;
+    linkKey = pepperDoc.linkKey ? Buffer.from(pepperDoc.linkKey, 'base64') : null;
+}
+
+/** Id of the pepper in use, or null for legacy plain SHA-256. */
+function activePepperId() {
+    loadPepper();
+    return pepperDoc.active ? pepperDoc.active.pepperId : null;
+}
+
+// ─── Hashing ────────────────────────────────────────────────────────────────
+
+/**
+ * Hash a Citizen ID under a given pepper (base64 secret, or null for legacy SHA-256).
+ * Normalises to 12-digit zero-padded string before hashing.
+ */
+function hashWith(secret, rawId) {
+    const normalised = String(rawId).trim().padStart(12, '0');
+    return secret
+        ? crypto.createHmac('sha256', Buffer.isBuffer(secret) ? secret : Buffer.from(secret, 'base64')).update(normalised).digest('hex')
+        : crypto.createHash('sha256').update(normalised).digest('hex');
+}
+
+/** Hash a Citizen ID under the active pepper. */
+function hashCitizenId(rawId) {
+    loadPepper();
+    return hashWith(activeSecret, rawId);
+}
+
+// ─── Links ──────────────────────────────────────────────────────────────────
+
+/** Id a link file stores an old hash under: HMAC-SHA-256(linkKey, hash). */
+function linkId(key, hash) {
+    return crypto.createHmac('sha256', Buffer.isBuffer(key) ? key : Buffer.from(key, 'base64')).update(hash).digest('hex');
+}
+
+function linksFile(newPepperId, dir = LINKS_DIR) {
+    return path.join(dir, `${newPepperId}.json`);
+}
+
+/** Digest a PEPPER_ROTATION record commits to. */
+function linksDigest(links) {
+    return sha256(canonicalJson(links));
+}
+
+function writeLinks(doc) {
+    fs.mkdirSync(LINKS_DIR, { recursive: true, mode: 0o700 });
+    const file = linksFile(doc.newPepperId);
+    writeFileAtomic(file, JSON.stringify(doc, null, 2));
+    fs.chmodSync(file, 0o600);
+}
+
+/**
+ * Check every PEPPER_ROTATION record against its link file. Needs no key and
+ * no server state; verify_ledger.js uses it too.
+ * @param {Array<{ line: number, entry: object }>} rotations — in ledger order
+ * @param {string} [dir] — link file directory
+ * @returns {{ issues: Array<{ line: number, reason: string }>, linkSets: object[], pepperId: string|null }}
+ */
+function checkRotations(rotations, dir = LINKS_DIR) {
+    const issues = [];
+    const linkSets = [];
+    let pepperId = null;
+
+    for (const { line, entry } of rotations) {
+        if (entry.oldPepperId !== pepperId) {
+            issues.push({ line, reason: `Pepper rotation starts from ${entry.oldPepperId}, expected ${pepperId}` });
+        }
+        pepperId = entry.newPepperId;
+
+        const file = linksFile(entry.newPepperId, dir);
+        let doc;
+        try {
+            doc = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        } catch {
+            issues.push({ line, reason: `Citizen hash link file ${path.basename(file)} is missing or unreadable` });
+            continue;
+        }
+        const links = doc.links || {};
+        if (linksDigest(links) !== entry.linksHash || Object.keys(links).length !== entry.linkCount) {
+            issues.push({ line, reason: `Citizen hash link file ${path.basename(file)} does not match its ledger record` });
+            continue;
+        }
+        linkSets.push(links);
+    }
+    return { issues, linkSets, pepperId };
+}
+
+/** Compose link sets, in ledger order, into one keyed old → current map. */
+function composeLinks(linkSets, key) {
+    const composed = new Map();
+    for (const links of linkSets) {
+        for (const [old, current] of composed) {
+            const next = links[linkId(key, current)];
+            if (next) composed.set(old, next);
+        }
+        for (const [old, next] of Object.entries(links)) composed.set(old, next);
+    }
+    return composed;
+}
+
+/**
+ * Adopt the ledger's rotations: verify the link files and that the pepper in
+ * use is the one the ledger last rotated to. Called by ledger.verifyIntegrity().
+ * @returns {Array<{ line: number|null, reason: string }>} issues
+ */
+function applyRotations(rotations) {
+    const { issues, linkSets, pepperId } = checkRotations(rotations);
+    aliases = new Map();
+
+    let active;
+    try {
+        active = activePepperId();
+    } catch (err) {
+        return [...issues, { line: null, reason: err.message }];
+    }
+    if (linkSets.length && !linkKey) {
+        issues.push({ line: null, reason: `${path.basename(PEPPER_FILE)} has no link key; citizen hash links cannot be resolved` });
+    } else if (linkSets.length) {
+        aliases = composeLinks(linkSets, linkKey);
+    }
+    if (active !== pepperId) {
+        const finishing = pepperDoc.pending && pepperDoc.pending.pepperId === pepperId;
+        issues.push({
+            line: null,
+            reason: `Citizen ID pepper ${active || '(none)'} does not match the ledger (${pepperId || '(none)'})` +
+                (finishing ? ' — a rotation was interrupted; run scripts/rotate_pepper.js to finish it' : ''),
+        });
+    }
+    return issues;
+}
+
+/** The citizen's current hash for any hash the ledger has recorded. */
+function resolve(hash) {
+    if (!aliases.size) return hash;
+    return aliases.get(linkId(linkKey, hash)) || hash;
+}
+
+function getHashingInfo() {
+    return { algorithm: activePepperId() ? 'HMAC-SHA-256' : 'SHA-256 (unkeyed)', pepperId: activePepperId(), linkedHashes: aliases.size };
+}
+
+module.exports = {
+    PEPPER_FILE,
+    LINKS_DIR,
+    createPepper,
+    createLinkKey,
+    readPepperFile,
+    savePepperFile,
+    activePepperId,
+    hashWith,
+    hashCitizenId,
+    linkId,
+    linksDigest,
+    writeLinks,
+    checkRotations,
+    applyRotations,
+    resolve,
+    getHashingInfo,
+};
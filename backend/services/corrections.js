@@ -0,0 +1,127 @@
+/**
+ * corrections.js — Reversals & Adjustments
+ *
+ * A payout is never edited in place. When it failed at the bank or was made
+ * in error, a new ledger entry points at the original DISBURSE by its
+ * CurrentHash and moves the budget the other way:
+ *   REVERSAL   — returns the full net amount to the scheme's pool and removes the
+ *                payout from the citizen's claim history; the citizen may claim again
+ *   ADJUSTMENT — signed delta; +amount pays more, −amount recovers money
+ * Every correction carries a mandatory reason, stored in the ledger line, and
+ * is charged to the original payout's region (see quotas.js).
+ */
+
+const ledger = require('./ledger');
+const state = require('./state');
+const quotas = require('./quotas');
+const overlay = require('./registryOverlay');
+const { releaseReplay } = require('./validator');
+
+/**
+ * Find a DISBURSE entry and the corrections already made against it.
+ * @returns {{ original: object, reversed: boolean, net: number } | { error: string }}
+ */
+function findOriginal(ref) {
+    const entries = ledger.getEntries();
+    const original = entries.find(e => e.currHash === ref);
+    if (!original) return { error: 'No ledger entry with this hash.' };
+    if (original.type !== 'DISBURSE') {
+        return { error: `Only DISBURSE entries can be corrected (this is a ${original.type}).` };
+    }
+    if (!state.getPool(original.scheme)) {
+        return { error: `No budget pool for scheme "${original.scheme}".` };
+    }
+
+    const related = entries.filter(e => e.ref === ref);
+    const reversed = related.some(e => e.type === 'REVERSAL');
+    const net = related
+        .filter(e => e.type === 'ADJUSTMENT')
+        .reduce((sum, e) => sum + e.amount, original.amount);
+
+    return { original, reversed, net };
+}
+
+function checkReason(reason) {
+    const text = String(reason || '').trim();
+    return text ? { text } : { error: 'A reason is required for every correction.' };
+}
+
+/**
+ * Reverse a payout: credit its net amount back and lift the replay block.
+ * @param {{ ref: string, reason: string }} param
+ */
+function reverse({ ref, reason }) {
+    const why = checkReason(reason);
+    if (why.error) return { success: false, error: why.error };
+
+    const found = findOriginal(ref);
+    if (found.error) return { success: false, error: found.error };
+    if (found.reversed) return { success: false, error: 'This payout has already been reversed.' };
+
+    const { original, net } = found;
+    const region = quotas.regionOf(original);
+    const entry = ledger.append({
+        type: 'REVERSAL',
+        citizenHash: original.citizenHash,
+        scheme: original.scheme,
+        amount: net,
+        ref,
+        reason: why.text,
+        ext: { region },
+    });
+
+    state.credit(net, original.scheme);
+    quotas.record(region, -net, entry.timestamp);
+    releaseReplay(original.citizenHash, original.scheme, ref);
+    overlay.removePayout(original.citizenHash, ref);
+
+    console.log(`[CORRECTIONS] ✓ Reversed ${ref.slice(0, 16)}... | ₹${net} returned to budget`);
+    return { success: true, type: 'REVERSAL', amount: net, ref, ...entry };
+}
+
+/**
+ * Adjust a payout by a signed amount.
+ * @param {{ ref: string, amount: number, reason: string }} param
+ */
+function adjust({ ref, amount, reason }) {
+    const why = checkReason(reason);
+    if (why.error) return { success: false, error: why.error };
+
+    const delta = Number(amount);
+    if (!Number.isFinite(delta) || delta === 0) {
+        return { success: false, error: 'Adjustment amount must be a non-zero number.' };
+    }
+
+    const found = findOriginal(ref);
+    if (found.error) return { success: false, error: found.error };
+    if (found.reversed) return { success: false, error: 'Cannot adjust a payout that has been reversed.' };
+    if (found.net + delta < 0) {
+        return { success: false, error: `Adjustment would take the payout below zero (net ₹${found.net}).` };
+    }
+
+    const { original } = found;
+    const pool = state.getPool(original.scheme);
+    if (delta > 0 && pool.remaining < delta) {
+        return { success: false, error: `Insufficient ${pool.scheme} budget. Available: ₹${pool.remaining.toLocaleString('en-IN')}.` };
+    }
+
+    const region = quotas.regionOf(original);
+    const entry = ledger.append({
+        type: 'ADJUSTMENT',
+        citizenHash: original.citizenHash,
+        scheme: original.scheme,
+        amount: delta,
+        ref,
+        reason: why.text,
+        ext: { region },
+    });
+
+    if (delta > 0) state.deduct(delta, original.scheme);
+    else state.credit(-delta, original.scheme);
+    quotas.record(region, delta, entry.timestamp);
+
+    console.log(`[CORRECTIONS] ✓ Adjusted ${ref.slice(0, 16)}... by ₹${delta}`);
+    return { success: true, type: 'ADJUSTMENT', amount: delta, ref, ...entry };
+}
+
+module.exports = { reverse, adjust };
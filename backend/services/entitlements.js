@@ -0,0 +1,85 @@
+/**
+ * entitlements.js — Payout Entitlement Calculator
+ *
+ * Works out what a citizen is paid from the registry's scheme_amount, their
+ * income_tier and their claim_count, using the per-scheme schedule in the
+ * rules file (the "entitlement" gate's params, see gates.js):
+ *
+ *   amount = scheme_amount × tierRate × max(minClaimFactor, 1 − perClaimReduction × claim_count)
+ *
+ * rounded to the nearest `roundTo` rupees. A tier rate of 0 makes the tier
+ * ineligible. The breakdown is returned alongside the amount and stored in
+ * the ledger entry (ext.entitlement), so every payout can be re-derived.
+ */
+
+/** Find a key case-insensitively. */
+function pick(map, name) {
+    const key = Object.keys(map).find(k => k.toLowerCase() === String(name).trim().toLowerCase());
+    return key === undefined ? null : { key, value: map[key] };
+}
+
+/**
+ * Calculate a citizen's entitlement for their scheme.
+ * @param {object} record — registry record
+ * @param {{ schemes: object, roundTo: number }} params — entitlement gate params
+ * @returns {{ amount: number, breakdown: object } | { problem: string, vars: object }}
+ *   `problem` is a message key of the entitlement gate
+ */
+function calculate(record, params) {
+    const schedule = pick(params.schemes, record.scheme_eligibility);
+    if (!schedule) return { problem: 'noSchedule', vars: { scheme: record.scheme_eligibility } };
+
+    const { tierRates, perClaimReduction, minClaimFactor } = schedule.value;
+    const tier = pick(tierRates, record.income_tier);
+    if (!tier) return { problem: 'unknownTier', vars: { tier: record.income_tier || '(blank)', scheme: schedule.key } };
+    if (tier.value === 0) return { problem: 'ineligibleTier', vars: { tier: tier.key, scheme: schedule.key } };
+
+    const claimFactor = Math.max(minClaimFactor, 1 - perClaimReduction * record.claim_count);
+    const exact = record.scheme_amount * tier.value * claimFactor;
+    const amount = params.roundTo > 0 ? Math.round(exact / params.roundTo) * params.roundTo : Math.round(exact);
+    if (amount <= 0) return { problem: 'nothingDue', vars: { scheme: schedule.key } };
+
+    return {
+        amount,
+        breakdown: {
+            base: record.scheme_amount,
+            incomeTier: tier.key,
+            tierRate: tier.value,
+            claimCount: record.claim_count,
+            claimFactor: Number(claimFactor.toFixed(4)),
+            amount,
+        },
+    };
+}
+
+/**
+ * Problems with an entitlement schedule that the param specs cannot catch.
+ * @returns {string[]}
+ */
+function validateSchedule(params) {
+    const problems = [];
+    const fraction = (v) => Number.isFinite(v) && v >= 0 && v <= 1;
+
+    if (Object.keys(params.schemes).length === 0) problems.push('schemes must list at least one scheme.');
+    for (const [scheme, schedule] of Object.entries(params.schemes)) {
+        const at = `schemes["${scheme}"]`;
+        if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+            problems.push(`${at} must be an object.`);
+            continue;
+        }
+        const { tierRates, perClaimReduction, minClaimFactor, ...extra } = schedule;
+        if (!tierRates || typeof tierRates !== 'object' || Array.isArray(tierRates) || !Object.keys(tierRates).length) {
+            problems.push(`${at}.tierRates must map each income tier to a rate.`);
+        } else {
+            for (const [tier, rate] of Object.entries(tierRates)) {
+                if (!fraction(rate)) problems.push(`${at}.tierRates["${tier}"] must be between 0 and 1.`);
+            }
+        }
+        if (!fraction(perClaimReduction)) problems.push(`${at}.perClaimReduction must be between 0 and 1.`);
+        if (!fraction(minClaimFactor)) problems.push(`${at}.minClaimFactor must be between 0 and 1.`);
+        for (const name of Object.keys(extra)) problems.push(`${at} has unknown field "${name}".`);
+    }
+    return problems;
+}
+
+module.exports = { calculate, validateSchedule };
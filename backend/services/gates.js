@@ -0,0 +1,239 @@
+/**
+ * gates.js — Validation Gate Types
+ *
+ * The building blocks the rules file (see rules.js) arranges into a pipeline.
+ * Each gate type declares:
+ *   params   — parameter name → 'number' | 'boolean' | 'string[]' | 'object' | [allowed values]
+ *   messages — message key → placeholders it may use ({name} in the template)
+ *   requires — gate types that must run earlier in the pipeline
+ *   precedes — optional; gate types that, if present, must run later
+ *   check(ctx, params, msg) — returns null to pass, or { reason, ...effects }
+ *   validate(params) — optional; problems the param specs alone cannot catch
+ *
+ * Checks are pure: they read the claim context and never change state.
+ * A rejection may ask for a side effect ({ freeze: true }, or { refer: true }
+ * to queue the claim for manual review); the validator decides whether to
+ * apply it. Any other field (e.g.
+ * nextEligibleDate) is passed through to the caller.
+ */
+
+const { validateSchedule } = require('./entitlements');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const rupees = (n) => n.toLocaleString('en-IN');
+
+const GATE_TYPES = {
+    // System must be 'active'
+    systemStatus: {
+        params: {},
+        messages: { frozen: [], paused: [] },
+        requires: [],
+        check(ctx, params, msg) {
+            if (ctx.status === 'frozen') return { reason: msg('frozen') };
+            if (ctx.status === 'paused') return { reason: msg('paused') };
+            return null;
+        },
+    },
+
+    // No unreversed payout to this citizen under this scheme within the
+    // scheme's replay window (windowDays, else defaultWindowDays; 0 = forever)
+    replay: {
+        params: { defaultWindowDays: 'number', windowDays: 'object' },
+        messages: { duplicate: [], withinWindow: ['scheme', 'windowDays', 'nextDate'] },
+        requires: [],
+        check(ctx, params, msg) {
+            const payout = ctx.lastPayout;
+            if (!payout) return null;
+
+            const days = replayWindowDays(params, ctx.scheme);
+            if (days === 0) return { reason: msg('duplicate') };
+
+            const next = new Date(Date.parse(payout.paidAt) + days * DAY_MS);
+            if (ctx.now >= next) return null;
+            return {
+                reason: msg('withinWindow', { scheme: ctx.scheme, windowDays: days, nextDate: next.toISOString().slice(0, 10) }),
+                nextEligibleDate: next.toISOString(),
+            };
+        },
+        validate(params) {
+            return Object.entries(params.windowDays)
+                .filter(([, days]) => !Number.isFinite(days) || days < 0)
+                .map(([scheme]) => `windowDays["${scheme}"] must be a non-negative number of days.`);
+        },
+    },
+
+    // Registry record: found, active, Aadhaar linked, right scheme, under the claim limit
+    eligibility: {
+        params: {
+            activeStatuses: 'string[]',
+            requireAadhaar: 'boolean',
+            schemeMatch: ['exact', 'caseInsensitive'],
+            maxClaimCount: 'number',
+        },
+        messages: {
+            notFound: [],
+            inactive: ['status'],
+            aadhaarNotLinked: [],
+            schemeMismatch: ['eligible', 'requested'],
+            claimLimit: ['count', 'max'],
+        },
+        requires: [],
+        check(ctx, params, msg) {
+            const { record, scheme } = ctx;
+            if (!record) return { reason: msg('notFound') };
+
+            const status = record.account_status.toLowerCase();
+            if (!params.activeStatuses.some(s => s.toLowerCase() === status)) {
+                return { reason: msg('inactive', { status: record.account_status }) };
+            }
+            if (params.requireAadhaar && !record.aadhaar_linked) {
+                return { reason: msg('aadhaarNotLinked') };
+            }
+
+            const matches = params.schemeMatch === 'exact'
+                ? record.scheme_eligibility === scheme.trim()
+                : record.scheme_eligibility.toLowerCase() === scheme.trim().toLowerCase();
+            if (!matches) {
+                return { reason: msg('schemeMismatch', { eligible: record.scheme_eligibility, requested: scheme }) };
+            }
+
+            // Over the limit is referred for manual review; a reviewer's approval lifts it
+            if (record.claim_count > params.maxClaimCount && !ctx.reviewApproved) {
+                return { reason: msg('claimLimit', { count: record.claim_count, max: params.maxClaimCount }), refer: true };
+            }
+            return null;
+        },
+    },
+
+    // Income tier and claim count give a payout above zero (see entitlements.js).
+    // The validator works out ctx.entitlement from these params before any
+    // gate runs; later gates check the calculated amount.
+    entitlement: {
+        params: { schemes: 'object', roundTo: 'number' },
+        messages: {
+            noSchedule: ['scheme'],
+            unknownTier: ['tier', 'scheme'],
+            ineligibleTier: ['tier', 'scheme'],
+            nothingDue: ['scheme'],
+        },
+        requires: ['eligibility'],
+        precedes: ['budget', 'regionalQuota'],
+        check(ctx, params, msg) {
+            const { problem, vars } = ctx.entitlement;
+            return problem ? { reason: msg(problem, vars) } : null;
+        },
+        validate: validateSchedule,
+    },
+
+    // Enough left in the scheme's budget pool; an empty pool blocks its scheme
+    budget: {
+        params: {},
+        messages: { noPool: ['scheme'], exhausted: ['scheme'], insufficient: ['scheme', 'available', 'required'] },
+        requires: ['eligibility'],
+        check(ctx, params, msg) {
+            const { pool } = ctx;
+            if (!pool) return { reason: msg('noPool', { scheme: ctx.record.scheme_eligibility }) };
+            if (pool.exhausted) {
+                return { reason: msg('exhausted', { scheme: pool.scheme }), freeze: pool.onExhausted === 'freeze' };
+            }
+            if (pool.remaining < ctx.amount) {
+                return {
+                    reason: msg('insufficient', {
+                        scheme: pool.scheme, available: rupees(pool.remaining), required: rupees(ctx.amount),
+                    }),
+                };
+            }
+            return null;
+        },
+    },
+
+    // The claim's region (or state) must stay within its total cap and daily
+    // limit. Limits are keyed by region_code ('MP-11') or state ('MP') per
+    // `level`; keys not listed use the defaults. A limit of 0 means no limit.
+    regionalQuota: {
+        params: { level: ['region', 'state'], defaultCap: 'number', defaultDailyLimit: 'number', limits: 'object' },
+        messages: {
+            capReached: ['region', 'cap', 'spent', 'required'],
+            dailyLimitReached: ['region', 'limit', 'spentToday', 'required'],
+        },
+        requires: ['eligibility'],
+        check(ctx, params, msg) {
+            const { key, spent, spentToday } = ctx.regionUsage(params.level);
+            const limits = params.limits[key] || {};
+            const cap = limits.cap ?? params.defaultCap;
+            const dailyLimit = limits.dailyLimit ?? params.defaultDailyLimit;
+
+            if (cap > 0 && spent + ctx.amount > cap) {
+                return {
+                    reason: msg('capReached', {
+                        region: key, cap: rupees(cap), spent: rupees(spent), required: rupees(ctx.amount),
+                    }),
+                };
+            }
+            if (dailyLimit > 0 && spentToday + ctx.amount > dailyLimit) {
+                return {
+                    reason: msg('dailyLimitReached', {
+                        region: key, limit: rupees(dailyLimit), spentToday: rupees(spentToday), required: rupees(ctx.amount),
+                    }),
+                };
+            }
+            return null;
+        },
+        validate(params) {
+            const problems = [];
+            for (const [key, limits] of Object.entries(params.limits)) {
+                if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+                    problems.push(`limits["${key}"] must be an object.`);
+                    continue;
+                }
+                for (const [name, value] of Object.entries(limits)) {
+                    if (name !== 'cap' && name !== 'dailyLimit') problems.push(`limits["${key}"] has unknown field "${name}".`);
+                    else if (!Number.isFinite(value) || value < 0) problems.push(`limits["${key}"].${name} must be a non-negative number.`);
+                }
+                if (params.level === 'state' && key.includes('-')) {
+                    problems.push(`limits["${key}"] looks like a region code, but level is "state".`);
+                }
+            }
+            return problems;
+        },
+    },
+
+    // Last claim must be at least minDaysBetweenClaims ago
+    frequency: {
+        params: { minDaysBetweenClaims: 'number' },
+        messages: { tooSoon: ['daysAgo', 'daysLeft', 'nextDate'] },
+        requires: ['eligibility'],
+        check(ctx, params, msg) {
+            if (!ctx.record.last_claim_date) return null;
+            const lastClaim = new Date(ctx.record.last_claim_date);
+            const diffDays = (ctx.now - lastClaim) / DAY_MS;
+            if (diffDays < params.minDaysBetweenClaims) {
+                const nextEligibleDate = new Date(lastClaim.getTime() + params.minDaysBetweenClaims * DAY_MS).toISOString();
+                return {
+                    reason: msg('tooSoon', {
+                        daysAgo: Math.floor(diffDays),
+                        daysLeft: Math.ceil(params.minDaysBetweenClaims - diffDays),
+                        nextDate: nextEligibleDate.slice(0, 10),
+                    }),
+                    nextEligibleDate,
+                };
+            }
+            return null;
+        },
+    },
+};
+
+/** Replay window in days for a scheme under a replay gate's params (0 = forever). */
+function replayWindowDays(params, scheme) {
+    const wanted = String(scheme).trim().toLowerCase();
+    const key = Object.keys(params.windowDays).find(k => k.toLowerCase() === wanted);
+    return key === undefined ? params.defaultWindowDays : params.windowDays[key];
+}
+
+/** Fill {placeholders} in a message template. */
+function render(template, vars = {}) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => (key in vars ? String(vars[key]) : match));
+}
+
+module.exports = { GATE_TYPES, render, replayWindowDays };
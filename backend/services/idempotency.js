@@ -0,0 +1,107 @@
+/**
+ * idempotency.js — Idempotency Keys for Claims
+ *
+ * A claim sent with an Idempotency-Key header is answered once; a retry with
+ * the same key gets the stored result of the first attempt (approved or
+ * rejected — a fresh attempt needs a fresh key) instead of running the gates
+ * again and tripping the Replay gate.
+ *
+ * Keys live for IDEMPOTENCY_WINDOW_HOURS (default 24) in IDEMPOTENCY_FILE
+ * (default data/idempotency_keys.json), pruned on every write. A key is
+ * bound to its claim (citizen hash + scheme): reusing it for a different
+ * claim is refused.
+ *
+ * Approvals also carry their key in the ledger entry (ext.idempotencyKey), so
+ * at startup any approval missing from the file — a crash between the ledger
+ * write and the key write — is restored from the ledger.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./ledgerStoreFile');
+
+const KEYS_FILE = process.env.IDEMPOTENCY_FILE || path.join(__dirname, '..', '..', 'data', 'idempotency_keys.json');
+const WINDOW_MS = (parseFloat(process.env.IDEMPOTENCY_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+
+// key → { fingerprint, storedAt, result }
+const records = new Map();
+let loaded = false;
+
+/** A key must be 1–255 visible ASCII characters. */
+function isValidKey(key) {
+    return typeof key === 'string' && /^[\x21-\x7e]{1,255}$/.test(key);
+}
+
+function fingerprint(citizenHash, scheme) {
+    return crypto.createHash('sha256').update(`${citizenHash}|${String(scheme).trim().toLowerCase()}`).digest('hex');
+}
+
+function expired(record, now = Date.now()) {
+    return now - Date.parse(record.storedAt) > WINDOW_MS;
+}
+
+function load() {
+    records.clear();
+    if (fs.existsSync(KEYS_FILE)) {
+        const doc = JSON.parse(fs.readFileSync(KEYS_FILE, 'utf-8'));
+        for (const [key, record] of Object.entries(doc.keys || {})) {
+            if (!expired(record)) records.set(key, record);
+        }
+    }
+    loaded = true;
+}
+
+function save() {
+    const now = Date.now();
+    const keys = {};
+    for (const [key, record] of records) {
+        if (expired(record, now)) records.delete(key);
+        else keys[key] = record;
+    }
+    fs.mkdirSync(path.dirname(KEYS_FILE), { recursive: true });
+    writeFileAtomic(KEYS_FILE, JSON.stringify({ version: 1, windowHours: WINDOW_MS / 3600000, keys }, null, 2));
+}
+
+/**
+ * Stored result for a key, if any.
+ * @returns {{ result: object } | { conflict: true } | null}
+ */
+function lookup(key, citizenHash, scheme) {
+    if (!loaded) load();
+    const record = records.get(key);
+    if (!record || expired(record)) return null;
+    if (record.fingerprint !== fingerprint(citizenHash, scheme)) return { conflict: true };
+    return { result: record.result };
+}
+
+/** Store the result of the first attempt under its key. */
+function remember(key, citizenHash, scheme, result) {
+    if (!loaded) load();
+    records.set(key, { fingerprint: fingerprint(citizenHash, scheme), storedAt: new Date().toISOString(), result });
+    save();
+}
+
+/**
+ * Restore approvals within the window that the key file is missing.
+ * Called at startup after the ledger has passed its integrity check.
+ * @param {object[]} entries — ledger entries
+ * @param {(entry: object) => object} resultOf — the approval response for a DISBURSE entry
+ */
+function restore(entries, resultOf) {
+    load();
+    const now = Date.now();
+    let restored = 0;
+    for (const entry of entries) {
+        const key = entry.type === 'DISBURSE' && entry.ext && entry.ext.idempotencyKey;
+        if (!key || records.has(key) || now - Date.parse(entry.timestamp) > WINDOW_MS) continue;
+        records.set(key, { fingerprint: fingerprint(entry.citizenHash, entry.scheme), storedAt: entry.timestamp, result: resultOf(entry) });
+        restored += 1;
+    }
+    if (restored) {
+        save();
+        console.warn(`[IDEMPOTENCY] ⚠ Restored ${restored} key(s) from the ledger that were missing from ${path.basename(KEYS_FILE)}.`);
+    }
+}
+
+module.exports = { isValidKey, lookup, remember, restore, WINDOW_MS };
@@ -1,174 +1,416 @@
 /**
  * ledger.js — Immutable Hash-Linked Ledger
  *
- * Each approved transaction is appended as a pipe-delimited line:
- *   Timestamp|CitizenHash|Scheme|Amount|PreviousHash|CurrentHash
+ * Every money movement is appended as one signed record (JSON line, format
+ * version 2 — see ledgerFormat.js for every version the verifier accepts):
+ *   DISBURSE   — approved payout
+ *   REVERSAL   — undoes a DISBURSE (ref = its CurrentHash), credits the budget
+ *   ADJUSTMENT — signed correction to a DISBURSE; +amount debits, −amount credits
  *
- * CurrentHash = SHA256(Timestamp + CitizenHash + Scheme + Amount + PreviousHash)
+ * Each record links to the previous one by PreviousHash, and its CurrentHash
+ * is signed with Ed25519 by the active signing key (see signer.js).
+ * Key rotation is recorded in the chain as its own KEY_ROTATION record,
+ * signed by the outgoing key; a citizen-ID pepper rotation as a
+ * PEPPER_ROTATION record (see citizenHash.js). Unsigned (version 1, 6-field)
+ * lines are accepted only as the legacy prefix pinned in the keyring. The
+ * prefix is pinned once, on the first start with LEDGER_ADOPT_LEGACY=1; a
+ * non-empty ledger with no keyring otherwise fails verification, so deleting
+ * the keyring cannot turn a rewritten unsigned ledger into an accepted one.
  *
- * After every write, the full-file SHA-256 is stored in ledger_meta.json.
- * On startup (and on each integrity check), the stored hash is compared with
- * the recomputed one. Any mismatch → system freezes immediately.
+ * After every write, the SHA-256 of the whole ledger text ("file hash") is
+ * stored alongside it. On startup (and on each integrity check) the stored
+ * hash is compared with the recomputed one. Any mismatch → system freezes
+ * immediately.
+ *
+ * Where the lines live is up to the store (LEDGER_STORAGE=file|sqlite, see
+ * ledgerStore.js); the single-writer lock, crash recovery and append-only
+ * enforcement belong to it. openLedger() takes the lock at server boot, so an
+ * idle server still holds it.
+ * A full chain walk runs on the first check and on explicit request; later
+ * checks only ask the store whether anything changed since the last verified
+ * position, and fall back to a full walk if it did.
+ *
+ * A Merkle tree over the ledger lines is kept in memory so a single entry can
+ * be proven to be in the ledger without handing out the whole file.
  */
 
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const state = require('./state');
+const signer = require('./signer');
+const citizenHash = require('./citizenHash');
+const format = require('./ledgerFormat');
+const { createMerkleTree } = require('./merkle');
+const { createLedgerIndex } = require('./ledgerIndex');
+const { verifyLedger, splitLines } = require('./ledgerVerify');
+const { createLedgerStore, DATA_DIR } = require('./ledgerStore');
+
+const REPORT_FILE = path.join(DATA_DIR, 'integrity_report.json');
 
-const DATA_DIR = path.join(__dirname, '..', '..', 'data');
-const LEDGER_FILE = path.join(DATA_DIR, 'ledger.txt');
-const META_FILE = path.join(DATA_DIR, 'ledger_meta.json');
+// Pin an existing unsigned ledger as the legacy prefix when no keyring exists yet
+const ADOPT_LEGACY = process.env.LEDGER_ADOPT_LEGACY === '1';
 
-// Genesis / empty-ledger sentinel hash
-const GENESIS_HASH = '0'.repeat(64);
+const store = createLedgerStore();
+
+const { GENESIS_HASH, KEY_ROTATION, PEPPER_ROTATION, ENTRY_TYPES } = format;
 
 // Last approved hash held in memory (avoids re-reading file on every append)
 let lastHash = GENESIS_HASH;
 let initialized = false;
 
-// ─── Helpers ────────────────────────────────────────────────────────────────
+// Running SHA-256 of the ledger text, so appends never re-read the store
+let fileHasher = crypto.createHash('sha256');
 
-function ensureDataDir() {
-    if (!fs.existsSync(DATA_DIR)) {
-        fs.mkdirSync(DATA_DIR, { recursive: true });
-    }
-}
+// Store position of the last full verification (see store.unchangedSince)
+let verifiedMark = null;
 
-function sha256(...parts) {
-    return crypto.createHash('sha256').update(parts.join('')).digest('hex');
-}
+// Key that signs the next entry — genesis key, then follows KEY_ROTATION lines
+let activeKeyId = null;
 
-function computeFileHash() {
-    if (!fs.existsSync(LEDGER_FILE)) return GENESIS_HASH;
-    const content = fs.readFileSync(LEDGER_FILE, 'utf-8');
-    return sha256(content);
-}
+// Forensic report from the most recent integrity check
+let lastReport = null;
+
+// Merkle tree over ledger lines + CurrentHash → leaf index lookup
+let tree = createMerkleTree();
+let leafIndex = new Map();
+
+// Queryable index of money entries (see ledgerIndex.js)
+let entryIndex = createLedgerIndex();
+
+// PEPPER_ROTATION records from the last walk: [{ line, entry }]
+let pepperRotations = [];
 
-function saveMeta(fileHash) {
-    fs.writeFileSync(META_FILE, JSON.stringify({ fileHash }), 'utf-8');
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+/** Entry as indexed: citizenHash is the current one, recordedCitizenHash what the line says. */
+function indexed(entry) {
+    return { ...entry, citizenHash: citizenHash.resolve(entry.citizenHash), recordedCitizenHash: entry.citizenHash };
 }
 
-function loadMeta() {
-    if (!fs.existsSync(META_FILE)) return null;
-    try {
-        return JSON.parse(fs.readFileSync(META_FILE, 'utf-8'));
-    } catch {
-        return null;
-    }
+/** Persist a failing report so it survives the restart needed to recover. */
+function saveReport(report) {
+    fs.writeFileSync(REPORT_FILE, JSON.stringify(report, null, 2), 'utf-8');
 }
 
 // ─── Public API ─────────────────────────────────────────────────────────────
 
 /**
- * Verify ledger integrity:
- *  1. Check stored file hash vs actual file hash.
- *  2. Walk the hash chain to confirm no line was altered.
- * Freezes system immediately on any mismatch.
+ * Open the store: take the single-writer lock and finish any interrupted
+ * append. Idempotent; throws if another live process holds the lock.
+ */
+function openLedger() {
+    store.open();
+}
+
+/**
+ * Verify ledger integrity (file hash, hash chain, signatures — see
+ * ledgerVerify.js) and rebuild the in-memory chain head, Merkle tree and
+ * query index from the verified ledger.
+ *
+ * After one successful full walk, later calls only ask the store whether
+ * anything changed since then (cheap — the dashboard polls this); pass
+ * { full: true } to force a complete re-walk.
+ * Freezes system immediately on any mismatch; the forensic report is kept
+ * for getIntegrityReport() and saved to disk.
+ * @param {{ full?: boolean }} [options]
  * @returns {boolean} true if valid (or ledger doesn't exist yet)
  */
-function verifyIntegrity() {
-    ensureDataDir();
+function verifyIntegrity({ full = false } = {}) {
+    openLedger();
 
-    // No ledger yet — nothing to verify
-    if (!fs.existsSync(LEDGER_FILE)) {
-        initialized = true;
+    if (!full && initialized && lastReport.valid && store.unchangedSince(verifiedMark)) {
+        lastReport = { ...lastReport, checkedAt: new Date().toISOString() };
         return true;
     }
 
-    // Step 1: file-level hash check
-    const meta = loadMeta();
-    const actualFileHash = computeFileHash();
+    const keyring = signer.loadKeyring();
+    const { content, meta, mark } = store.snapshot();
+    const newTree = createMerkleTree();
+    const newLeafIndex = new Map();
+    const moneyEntries = [];
+    const rotations = [];
+
+    const { report, lines, head, signingKeyId } = verifyLedger({
+        content,
+        meta,
+        keyring,
+        adoptLegacy: ADOPT_LEGACY,
+        onEntry: (entry, lineNo, line) => {
+            newLeafIndex.set(entry.currHash, newTree.append(line));
+            if (ENTRY_TYPES.includes(entry.type)) moneyEntries.push([lineNo, entry]);
+            else if (entry.type === PEPPER_ROTATION) rotations.push({ line: lineNo, entry });
+        },
+    });
+    report.issues.unshift(...store.check());
+    report.issues.push(...citizenHash.applyRotations(rotations));
+    report.valid = report.issues.length === 0;
+    pepperRotations = rotations;
+
+    // Index every entry under the citizen's current hash (see citizenHash.resolve)
+    const newEntryIndex = createLedgerIndex();
+    for (const [lineNo, entry] of moneyEntries) newEntryIndex.add(lineNo, indexed(entry));
+    for (const { line, reason } of report.issues) {
+        console.error(`[LEDGER] ✗ ${reason}${line ? ` (line ${line})` : ''}`);
+    }
+
+    lastReport = report;
 
-    if (meta && meta.fileHash !== actualFileHash) {
-        console.error('[LEDGER] ✗ File hash mismatch — TAMPERING DETECTED. Freezing system.');
+    if (!report.valid) {
+        saveReport(report);
+        console.error(`[LEDGER] ✗ ${report.issues.length} integrity issue(s) — Freezing system. Report: ${REPORT_FILE}`);
         state.freeze();
         return false;
     }
 
-    // Step 2: walk the hash chain
-    const lines = fs.readFileSync(LEDGER_FILE, 'utf-8')
-        .split('\n')
-        .map(l => l.trim())
-        .filter(Boolean);
-
-    let prevHash = GENESIS_HASH;
+    // First boot after signing was introduced (LEDGER_ADOPT_LEGACY=1): pin existing lines as legacy
+    const ring = keyring || signer.createKeyring({ legacyLines: lines.length, legacyHead: head });
 
-    for (let i = 0; i < lines.length; i++) {
-        const parts = lines[i].split('|');
-        if (parts.length !== 6) {
-            console.error(`[LEDGER] ✗ Malformed line ${i + 1} — Freezing system.`);
-            state.freeze();
-            return false;
-        }
+    lastHash = head;
+    fileHasher = crypto.createHash('sha256').update(content);
+    verifiedMark = mark;
+    activeKeyId = signingKeyId || ring.genesisKeyId;
+    tree = newTree;
+    leafIndex = newLeafIndex;
+    entryIndex = newEntryIndex;
+    initialized = true;
+    console.log(`[LEDGER] ✓ Integrity verified. ${lines.length} transaction(s) on record.`);
+    return true;
+}
 
-        const [timestamp, citizenHash, scheme, amount, storedPrevHash, storedCurrHash] = parts;
-        const expectedCurrHash = sha256(timestamp, citizenHash, scheme, amount, storedPrevHash);
+/**
+ * Chain, hash, sign and durably append one record in the current format.
+ * All store I/O is synchronous, so appends within the process are serialized.
+ * @param {object} fields — record fields except v/prevHash/currHash/keyId/signature
+ * @returns {string} CurrentHash of the new line
+ */
+function writeRecord(fields) {
+    const record = format.buildRecord({ ...fields, prevHash: lastHash, keyId: activeKeyId });
+    const currentHash = record.currHash;
+    const line = format.serialize({ ...record, signature: signer.sign(activeKeyId, currentHash) });
 
-        if (storedPrevHash !== prevHash || storedCurrHash !== expectedCurrHash) {
-            console.error(`[LEDGER] ✗ Hash chain broken at line ${i + 1} — Freezing system.`);
-            state.freeze();
-            return false;
-        }
+    const nextHasher = fileHasher.copy().update(line + '\n');
+    verifiedMark = store.append(line, {
+        prevFileHash: fileHasher.copy().digest('hex'),
+        fileHash: nextHasher.copy().digest('hex'),
+    });
 
-        prevHash = storedCurrHash;
-    }
+    // Update in-memory chain head, file hash, Merkle tree and query index
+    lastHash = currentHash;
+    fileHasher = nextHasher;
+    leafIndex.set(currentHash, tree.append(line));
+    if (ENTRY_TYPES.includes(record.type)) entryIndex.add(tree.size(), indexed(record));
 
-    lastHash = prevHash;
-    initialized = true;
-    console.log(`[LEDGER] ✓ Integrity verified. ${lines.length} transaction(s) on record.`);
-    return true;
+    return currentHash;
 }
 
 /**
- * Append an approved transaction to the ledger.
- * @param {{ citizenHash: string, scheme: string, amount: number }} entry
+ * Append a typed entry to the ledger. Defaults to a DISBURSE (approved payout).
+ * `ext` carries optional metadata (operator id, rule version, …) and is
+ * covered by the hash and signature like every other field.
+ * @param {{ type?: string, citizenHash: string, scheme: string, amount: number, ref?: string, reason?: string, ext?: object }} entry
  * @returns {{ timestamp: string, currentHash: string }}
  */
-function append({ citizenHash, scheme, amount }) {
-    ensureDataDir();
+function append({ type = 'DISBURSE', citizenHash, scheme, amount, ref = null, reason = '', ext = {} }) {
     if (!initialized) verifyIntegrity();
+    if (!ENTRY_TYPES.includes(type)) throw new Error(`Unknown ledger entry type "${type}".`);
 
     const timestamp = new Date().toISOString();
-    const prevHash = lastHash;
-    const currentHash = sha256(timestamp, citizenHash, scheme, String(amount), prevHash);
+    const currentHash = writeRecord({ type, timestamp, citizenHash, scheme, amount, ref, reason, ext });
+
+    console.log(`[LEDGER] ✓ ${type} appended. CurrentHash: ${currentHash.slice(0, 16)}...`);
+    return { timestamp, currentHash };
+}
 
-    const line = `${timestamp}|${citizenHash}|${scheme}|${amount}|${prevHash}|${currentHash}\n`;
-    fs.appendFileSync(LEDGER_FILE, line, 'utf-8');
+/**
+ * Rotate the ledger signing key. The rotation is itself a ledger line, signed
+ * by the outgoing key; every later entry must be signed by the new one.
+ * @returns {{ timestamp: string, previousKeyId: string, keyId: string, currentHash: string }}
+ */
+function rotateKey() {
+    if (!initialized) verifyIntegrity();
 
-    // Update in-memory last hash
-    lastHash = currentHash;
+    const previousKeyId = activeKeyId;
+    const key = signer.addKey();
+    const timestamp = new Date().toISOString();
+    const currentHash = writeRecord({
+        type: KEY_ROTATION, timestamp, newKeyId: key.keyId, newPublicKey: key.publicKey,
+    });
+    activeKeyId = key.keyId;
+
+    console.log(`[LEDGER] ✓ Signing key rotated ${previousKeyId} → ${key.keyId}.`);
+    return { timestamp, previousKeyId, keyId: key.keyId, currentHash };
+}
+
+/**
+ * Record a citizen-ID pepper rotation (see citizenHash.js). The link file it
+ * commits to must already be written.
+ * @param {{ oldPepperId: string|null, newPepperId: string, linkCount: number, linksHash: string }} rotation
+ * @returns {{ timestamp: string, currentHash: string }}
+ */
+function recordPepperRotation({ oldPepperId, newPepperId, linkCount, linksHash }) {
+    if (!initialized) verifyIntegrity();
 
-    // Recompute and save file-level hash
-    const fileHash = computeFileHash();
-    saveMeta(fileHash);
+    const timestamp = new Date().toISOString();
+    const currentHash = writeRecord({ type: PEPPER_ROTATION, timestamp, oldPepperId, newPepperId, linkCount, linksHash });
+    pepperRotations = [...pepperRotations, { line: tree.size(), entry: { timestamp, oldPepperId, newPepperId, linkCount, linksHash, currHash: currentHash } }];
 
-    console.log(`[LEDGER] ✓ Transaction appended. CurrentHash: ${currentHash.slice(0, 16)}...`);
+    console.log(`[LEDGER] ✓ Citizen ID pepper rotated ${oldPepperId || '(unkeyed)'} → ${newPepperId}.`);
     return { timestamp, currentHash };
 }
 
+/** PEPPER_ROTATION records seen by the last integrity walk, in ledger order. */
+function getPepperRotations() {
+    return pepperRotations.map(({ line, entry: { timestamp, oldPepperId, newPepperId, linkCount, linksHash, currHash } }) => (
+        { line, timestamp, oldPepperId, newPepperId, linkCount, linksHash, currHash }
+    ));
+}
+
+/** Key id that signs the next ledger entry. */
+function getActiveKeyId() {
+    if (!initialized) verifyIntegrity();
+    return activeKeyId;
+}
+
 /**
- * Return the last n ledger lines as structured objects.
+ * Return the last n money-movement lines as structured objects.
  * @param {number} n
  */
 function getLastLines(n = 20) {
-    if (!fs.existsSync(LEDGER_FILE)) return [];
-    const lines = fs.readFileSync(LEDGER_FILE, 'utf-8')
-        .split('\n')
-        .map(l => l.trim())
-        .filter(Boolean);
-
-    return lines.slice(-n).map(line => {
-        const [timestamp, citizenHash, scheme, amount, prevHash, currHash] = line.split('|');
+    if (!initialized) verifyIntegrity();
+    return entryIndex.last(n).map(({ timestamp, type, citizenHash, scheme, amount, ref, prevHash, currHash }) => {
         return {
             timestamp,
+            type,
             citizenHash: citizenHash ? citizenHash.slice(0, 12) + '...' : '', // truncate for display
             scheme,
             amount,
+            ref: ref ? ref.slice(0, 12) + '...' : null,
             prevHash: prevHash ? prevHash.slice(0, 12) + '...' : '',
             currHash: currHash ? currHash.slice(0, 12) + '...' : '',
         };
     });
 }
 
-module.exports = { verifyIntegrity, append, getLastLines };
+/**
+ * Return every money-movement entry with full (untruncated) hashes, oldest
+ * first. Used at startup to replay payouts and corrections into memory.
+ */
+function getEntries() {
+    if (!initialized) verifyIntegrity();
+    return entryIndex.all();
+}
+
+/** A single money entry by CurrentHash, or null. */
+function getEntry(currentHash) {
+    if (!initialized) verifyIntegrity();
+    return entryIndex.get(currentHash);
+}
+
+/**
+ * Filtered, cursor-paginated view of the ledger (see ledgerIndex.query).
+ * @returns {{ entries: object[], nextCursor: number|null }}
+ */
+function queryEntries(q) {
+    if (!initialized) verifyIntegrity();
+    return entryIndex.query(q);
+}
+
+/**
+ * Forensic report from the latest integrity check. If the ledger is currently
+ * valid but an earlier boot found tampering, that stored report is attached
+ * as `previousIncident`.
+ */
+function getIntegrityReport() {
+    if (!lastReport) verifyIntegrity();
+    if (lastReport.valid && fs.existsSync(REPORT_FILE)) {
+        try {
+            return { ...lastReport, previousIncident: JSON.parse(fs.readFileSync(REPORT_FILE, 'utf-8')) };
+        } catch {
+            return lastReport;
+        }
+    }
+    return lastReport;
+}
+
+/**
+ * Merkle inclusion proof for the entry with the given CurrentHash.
+ * @param {string} currentHash
+ * @returns {{ index: number, leaf: string, path: Array<{ position: string, hash: string }>, root: string, size: number } | null}
+ */
+function getProof(currentHash) {
+    if (!initialized) verifyIntegrity();
+    const index = leafIndex.get(currentHash);
+    if (index === undefined) return null;
+    return {
+        index,
+        leaf: tree.leaf(index),
+        path: tree.proof(index),
+        root: tree.root(),
+        size: tree.size(),
+    };
+}
+
+/**
+ * Export bundle for auditors: the ledger text and stored meta exactly as the
+ * file hash covers them, the public keyring, every record parsed, and a manifest (chain
+ * head, file/meta hashes, counts) signed by the active key over its canonical
+ * JSON. scripts/verify_ledger.js --bundle re-runs the integrity checks on it.
+ */
+function exportBundle() {
+    if (!initialized) verifyIntegrity();
+
+    const { content, meta } = store.snapshot();
+    const metaContent = store.metaContent();
+    const keyring = signer.getKeyring();
+    const entries = splitLines(content).map((line, i) => {
+        const { expectedHash, ...entry } = format.parseLine(line); // eslint-disable-line no-unused-vars
+        return { line: i + 1, ...entry };
+    });
+    const head = [...entries].reverse().find(e => e.currHash);
+
+    const manifest = {
+        exportedAt: new Date().toISOString(),
+        formatVersion: format.FORMAT_VERSION,
+        storage: store.name,
+        lineCount: entries.length,
+        entryCount: entries.filter(e => ENTRY_TYPES.includes(e.type)).length,
+        chainHead: head ? head.currHash : GENESIS_HASH,
+        fileHash: format.sha256(content),
+        storedFileHash: meta ? meta.fileHash : null,
+        metaHash: metaContent === null ? null : format.sha256(metaContent),
+        merkleRoot: lastReport.valid ? tree.root() : null,
+        integrityValid: lastReport.valid,
+        keyId: activeKeyId,
+    };
+    manifest.signature = activeKeyId
+        ? signer.sign(activeKeyId, format.sha256(format.canonicalJson(manifest)))
+        : null;
+
+    return {
+        manifest,
+        ledger: content,
+        meta: metaContent,
+        keyring: keyring && { genesisKeyId: keyring.genesisKeyId, legacy: keyring.legacy, keys: keyring.keys },
+        entries,
+    };
+}
+
+module.exports = {
+    openLedger,
+    ENTRY_TYPES,
+    budgetDelta: format.budgetDelta,
+    verifyIntegrity,
+    append,
+    rotateKey,
+    recordPepperRotation,
+    getPepperRotations,
+    getActiveKeyId,
+    getLastLines,
+    getEntries,
+    getEntry,
+    queryEntries,
+    getProof,
+    getIntegrityReport,
+    exportBundle,
+};
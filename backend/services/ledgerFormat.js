@@ -0,0 +1,191 @@
+/**
+ * ledgerFormat.js — Ledger Record Codec (all versions)
+ *
+ * Version 2 (current) — one JSON object per line:
+ *   {"v":2,"type":"DISBURSE","timestamp":…,"citizenHash":…,"scheme":…,"amount":2000,
+ *    "ref":null,"reason":"","ext":{…},"prevHash":…,"currHash":…,"keyId":…,"signature":…}
+ *
+ *   CurrentHash = SHA256(canonical JSON of the record without currHash/signature)
+ *   Canonical JSON = keys sorted at every level, no whitespace.
+ *   `ext` holds optional metadata (operator id, rule version, …). It is covered
+ *   by the hash, so new metadata never needs a new layout or version.
+ *   KEY_ROTATION records carry newKeyId/newPublicKey instead of payout fields;
+ *   PEPPER_ROTATION records carry oldPepperId/newPepperId/linkCount/linksHash
+ *   (see citizenHash.js). Both are control records, not money movements.
+ *
+ * Version 1 (legacy) — pipe-delimited, told apart by field count:
+ *   11: Timestamp|Type|CitizenHash|Scheme|Amount|RefHash|Reason|PreviousHash|CurrentHash|KeyId|Signature
+ *    8: Timestamp|CitizenHash|Scheme|Amount|PreviousHash|CurrentHash|KeyId|Signature   (DISBURSE)
+ *    8: Timestamp|KEY_ROTATION|NewKeyId|NewPublicKey|PreviousHash|CurrentHash|KeyId|Signature
+ *    6: Timestamp|CitizenHash|Scheme|Amount|PreviousHash|CurrentHash                   (unsigned)
+ *   CurrentHash = SHA256(every field before PreviousHash + PreviousHash)
+ *   Reason is URI-encoded so it can never contain a pipe or newline.
+ *
+ * This module has no side effects and no dependency on server state, so the
+ * offline tools in scripts/ can share it with services/ledger.js.
+ */
+
+const crypto = require('crypto');
+
+const FORMAT_VERSION = 2;
+
+// Genesis / empty-ledger sentinel hash
+const GENESIS_HASH = '0'.repeat(64);
+
+const KEY_ROTATION = 'KEY_ROTATION';
+const PEPPER_ROTATION = 'PEPPER_ROTATION';
+const CONTROL_TYPES = [KEY_ROTATION, PEPPER_ROTATION];
+
+// Typed money-movement entries
+const ENTRY_TYPES = ['DISBURSE', 'REVERSAL', 'ADJUSTMENT'];
+
+function sha256(...parts) {
+    return crypto.createHash('sha256').update(parts.join('')).digest('hex');
+}
+
+/** JSON with keys sorted at every level — stable input for hashing and signing. */
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(k => value[k] !== undefined)
+            .map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// ─── Version 2 (JSON lines) ─────────────────────────────────────────────────
+
+function hashRecord(record) {
+    const { currHash, signature, ...hashed } = record; // eslint-disable-line no-unused-vars
+    return sha256(canonicalJson(hashed));
+}
+
+/**
+ * Build an unsigned v2 record. Pass `prevHash`; `currHash` is computed here.
+ * The caller signs `currHash` and sets `signature` before serializing.
+ */
+function buildRecord(fields) {
+    const record = { v: FORMAT_VERSION, ...fields };
+    if (!CONTROL_TYPES.includes(record.type)) {
+        record.ref = record.ref || null;
+        record.reason = record.reason || '';
+        record.ext = record.ext || {};
+    }
+    record.currHash = hashRecord(record);
+    return record;
+}
+
+/** Serialize a signed v2 record to one ledger line (no trailing newline). */
+function serialize(record) {
+    return JSON.stringify(record);
+}
+
+function parseJsonLine(line) {
+    let record;
+    try {
+        record = JSON.parse(line);
+    } catch {
+        return { error: 'Invalid JSON record' };
+    }
+    if (!record || typeof record !== 'object') return { error: 'Invalid JSON record' };
+    if (record.v !== FORMAT_VERSION) return { error: `Unsupported record version ${JSON.stringify(record.v)}` };
+
+    const isControl = CONTROL_TYPES.includes(record.type);
+    if (!isControl && !ENTRY_TYPES.includes(record.type)) {
+        return { error: `Unknown entry type ${JSON.stringify(record.type)}` };
+    }
+    if (typeof record.prevHash !== 'string' || typeof record.currHash !== 'string') {
+        return { error: 'Missing prevHash/currHash' };
+    }
+
+    return {
+        version: FORMAT_VERSION,
+        ...record,
+        amount: isControl ? undefined : Number(record.amount),
+        keyId: record.keyId || null,
+        signature: record.signature || null,
+        expectedHash: hashRecord(record),
+    };
+}
+
+// ─── Version 1 (pipe-delimited) ─────────────────────────────────────────────
+
+function parsePipeLine(line) {
+    const fields = line.split('|');
+
+    if (fields.length === 11) {
+        const [timestamp, type, citizenHash, scheme, amount, ref, reason, prevHash, currHash, keyId, signature] = fields;
+        if (!ENTRY_TYPES.includes(type)) return { error: `Unknown entry type "${type}"` };
+        let decodedReason;
+        try {
+            decodedReason = decodeURIComponent(reason);
+        } catch {
+            return { error: 'Undecodable reason field' };
+        }
+        return {
+            version: 1, type, timestamp, citizenHash, scheme, amount: parseFloat(amount) || 0,
+            ref: ref || null, reason: decodedReason, ext: {},
+            prevHash, currHash, keyId: keyId || null, signature: signature || null,
+            expectedHash: sha256(...fields.slice(0, 7), prevHash),
+        };
+    }
+
+    if (fields.length !== 6 && fields.length !== 8) {
+        return { error: `Unexpected field count ${fields.length}` };
+    }
+
+    const [timestamp, f1, f2, f3, prevHash, currHash, keyId, signature] = fields;
+    const entry = {
+        version: 1, timestamp, prevHash, currHash,
+        keyId: keyId || null, signature: signature || null,
+        expectedHash: sha256(...fields.slice(0, 4), prevHash),
+    };
+
+    if (f1 === KEY_ROTATION) {
+        return { ...entry, type: KEY_ROTATION, newKeyId: f2, newPublicKey: f3 };
+    }
+    return {
+        ...entry, type: 'DISBURSE', citizenHash: f1, scheme: f2, amount: parseFloat(f3) || 0,
+        ref: null, reason: '', ext: {},
+    };
+}
+
+// ─── Public API ─────────────────────────────────────────────────────────────
+
+/**
+ * Parse one ledger line of any supported version into a uniform entry:
+ *   { version, type, timestamp, citizenHash, scheme, amount, ref, reason, ext,
+ *     newKeyId, newPublicKey, prevHash, currHash, keyId, signature, expectedHash }
+ * `expectedHash` is what currHash must equal for the line to be unaltered.
+ * Returns { error } if the line cannot be understood.
+ */
+function parseLine(line) {
+    return line.startsWith('{') ? parseJsonLine(line) : parsePipeLine(line);
+}
+
+/**
+ * Budget effect of an entry: positive debits the budget, negative credits it.
+ * @param {{ type: string, amount: number }} entry
+ */
+function budgetDelta({ type, amount }) {
+    if (type === 'DISBURSE') return amount;
+    if (type === 'REVERSAL') return -amount;
+    if (type === 'ADJUSTMENT') return amount;
+    return 0;
+}
+
+module.exports = {
+    FORMAT_VERSION,
+    GENESIS_HASH,
+    KEY_ROTATION,
+    PEPPER_ROTATION,
+    ENTRY_TYPES,
+    sha256,
+    canonicalJson,
+    buildRecord,
+    serialize,
+    parseLine,
+    budgetDelta,
+};
@@ -0,0 +1,136 @@
+/**
+ * ledgerIndex.js — In-Memory Ledger Index
+ *
+ * Holds every money-movement entry (DISBURSE / REVERSAL / ADJUSTMENT) in
+ * ledger order, plus lookups by CurrentHash, scheme and citizen hash, so the
+ * admin dashboard and auditors can page through the ledger without the file
+ * being re-read and re-split on every request.
+ *
+ * Built by ledger.verifyIntegrity() after its chain walk and kept current by
+ * ledger.append(). citizenHash is the citizen's current hash; after a pepper
+ * rotation it differs from the recordedCitizenHash written in older lines.
+ * Entries are stored in append order, which is also timestamp order, so time
+ * windows are found by binary search.
+ *
+ * Cursors are the `seq` (ledger line number) of the last entry returned.
+ */
+
+const MAX_LIMIT = 500;
+
+/** Copy of an entry with only the public fields, in a stable shape. */
+function toIndexEntry(seq, entry) {
+    return {
+        seq,
+        type: entry.type,
+        timestamp: entry.timestamp,
+        citizenHash: entry.citizenHash,
+        recordedCitizenHash: entry.recordedCitizenHash || entry.citizenHash,
+        scheme: entry.scheme,
+        amount: entry.amount,
+        ref: entry.ref || null,
+        reason: entry.reason || '',
+        ext: entry.ext || {},
+        prevHash: entry.prevHash,
+        currHash: entry.currHash,
+        keyId: entry.keyId || null,
+    };
+}
+
+/** First i in [0, n) for which pred(i) is true; pred must be monotonic. */
+function firstTrue(n, pred) {
+    let lo = 0;
+    let hi = n;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (pred(mid)) hi = mid;
+        else lo = mid + 1;
+    }
+    return lo;
+}
+
+function pushTo(map, key, pos) {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(pos);
+}
+
+function createLedgerIndex() {
+    const entries = [];          // in ledger order
+    const byHash = new Map();    // currHash → position
+    const byScheme = new Map();  // lower-cased scheme → positions
+    const byCitizen = new Map(); // citizenHash → positions
+
+    /** Add one parsed money entry. `seq` is its 1-based ledger line number. */
+    function add(seq, entry) {
+        const pos = entries.length;
+        const item = toIndexEntry(seq, entry);
+        entries.push(item);
+        byHash.set(item.currHash, pos);
+        pushTo(byScheme, String(item.scheme).toLowerCase(), pos);
+        pushTo(byCitizen, item.citizenHash, pos);
+        return item;
+    }
+
+    function get(currHash) {
+        const pos = byHash.get(currHash);
+        return pos === undefined ? null : entries[pos];
+    }
+
+    function all() {
+        return entries.slice();
+    }
+
+    function last(n) {
+        return entries.slice(-n);
+    }
+
+    function size() {
+        return entries.length;
+    }
+
+    /**
+     * Cursor-paginated, filtered scan.
+     * @param {{ scheme?: string, type?: string, citizenHash?: string,
+     *           minAmount?: number, maxAmount?: number, from?: string, to?: string,
+     *           cursor?: number, limit?: number, order?: 'asc'|'desc' }} q
+     * @returns {{ entries: object[], nextCursor: number|null }}
+     */
+    function query(q = {}) {
+        const limit = Math.min(Math.max(q.limit || 50, 1), MAX_LIMIT);
+        const desc = q.order !== 'asc';
+
+        // Narrowest candidate list available (positions, ascending)
+        let list = null;
+        if (q.citizenHash) list = byCitizen.get(q.citizenHash) || [];
+        else if (q.scheme) list = byScheme.get(q.scheme.toLowerCase()) || [];
+        const n = list ? list.length : entries.length;
+        const at = (i) => entries[list ? list[i] : i];
+
+        // Time window (inclusive UTC ISO timestamps) and cursor → [start, end) slice of the list.
+        let start = q.from ? firstTrue(n, i => at(i).timestamp >= q.from) : 0;
+        let end = q.to ? firstTrue(n, i => at(i).timestamp > q.to) : n;
+        if (q.cursor !== undefined) {
+            if (desc) end = Math.min(end, firstTrue(n, i => at(i).seq >= q.cursor));
+            else start = Math.max(start, firstTrue(n, i => at(i).seq > q.cursor));
+        }
+
+        const matches = (e) =>
+            (!q.scheme || e.scheme.toLowerCase() === q.scheme.toLowerCase()) &&
+            (!q.type || e.type === q.type) &&
+            (q.minAmount === undefined || e.amount >= q.minAmount) &&
+            (q.maxAmount === undefined || e.amount <= q.maxAmount);
+
+        const page = [];
+        for (let k = 0; k < end - start && page.length <= limit; k++) {
+            const e = at(desc ? end - 1 - k : start + k);
+            if (matches(e)) page.push(e);
+        }
+
+        const hasMore = page.length > limit;
+        if (hasMore) page.pop();
+        return { entries: page, nextCursor: hasMore ? page[page.length - 1].seq : null };
+    }
+
+    return { add, get, all, last, size, query };
+}
+
+module.exports = { createLedgerIndex, MAX_LIMIT };
@@ -0,0 +1,51 @@
+/**
+ * ledgerLock.js — Single-Writer Ledger Lock
+ *
+ * <data dir>/ledger.lock holds the PID of the one process allowed to write the
+ * ledger. Stores take it in open() and keep it until the process exits, so a
+ * running server holds it even while idle: a second server, or a maintenance
+ * script (migrate_ledger.js, ledger_to_sqlite.js, rotate_pepper.js), is
+ * refused instead of forking the chain. A lock left by a dead process is
+ * taken over.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Lock files held by this process (both stores may share one data directory)
+const held = new Set();
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        return err.code === 'EPERM';
+    }
+}
+
+/**
+ * Take the lock in `dir` for this process. Throws if a live process holds it.
+ * @param {string} dir
+ */
+function acquireLedgerLock(dir) {
+    const file = path.join(dir, 'ledger.lock');
+    if (held.has(file)) return;
+    fs.mkdirSync(dir, { recursive: true });
+    try {
+        fs.writeFileSync(file, String(process.pid), { flag: 'wx' });
+    } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+        const holder = parseInt(fs.readFileSync(file, 'utf-8'), 10);
+        if (holder && holder !== process.pid && isProcessAlive(holder)) {
+            throw new Error(`Ledger is locked by another process (pid ${holder}).`);
+        }
+        fs.writeFileSync(file, String(process.pid));
+    }
+    held.add(file);
+    process.on('exit', () => {
+        try { fs.unlinkSync(file); } catch { /* already gone */ }
+    });
+}
+
+module.exports = { acquireLedgerLock };
@@ -0,0 +1,41 @@
+/**
+ * ledgerStore.js — Ledger Storage Selection
+ *
+ * ledger.js never touches the disk itself; it talks to a store chosen by
+ * LEDGER_STORAGE:
+ *   file   (default) — data/ledger.txt + ledger_meta.json   (ledgerStoreFile.js)
+ *   sqlite           — LEDGER_SQLITE_FILE, default data/ledger.db (ledgerStoreSqlite.js)
+ *
+ * Store contract:
+ *   name, location              — for logs and the export manifest
+ *   open()                      — take the single-writer lock (ledgerLock.js), create
+ *                                 if missing, finish any interrupted append
+ *   check()                     → [{ line, reason }] storage-level integrity findings
+ *   snapshot()                  → { content, meta, mark }
+ *                                 content: every record line + '\n' (what the file hash covers)
+ *                                 meta:    { fileHash } as last stored, or null
+ *                                 mark:    opaque position for unchangedSince()
+ *   unchangedSince(mark)        → true if nothing was added, altered or removed since `mark`
+ *   append(line, { prevFileHash, fileHash }) → mark after the line
+ *                                 durable and atomic; updates the stored file hash
+ *   metaContent()               → stored meta as text, or null (export bundle)
+ *
+ * Hash chaining, signing and verification stay in ledger.js / ledgerVerify.js,
+ * so both stores have identical semantics and produce identical ledgers.
+ */
+
+const path = require('path');
+const { createFileStore } = require('./ledgerStoreFile');
+const { createSqliteStore } = require('./ledgerStoreSqlite');
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+function createLedgerStore(kind = process.env.LEDGER_STORAGE || 'file') {
+    if (kind === 'file') return createFileStore({ dir: DATA_DIR });
+    if (kind === 'sqlite') {
+        return createSqliteStore({ file: process.env.LEDGER_SQLITE_FILE || path.join(DATA_DIR, 'ledger.db') });
+    }
+    throw new Error(`Unknown LEDGER_STORAGE "${kind}" (expected "file" or "sqlite").`);
+}
+
+module.exports = { createLedgerStore, DATA_DIR };
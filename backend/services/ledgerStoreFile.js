@@ -0,0 +1,197 @@
+/**
+ * ledgerStoreFile.js — Text-File Ledger Store (default)
+ *
+ *   data/ledger.txt        — one record per line
+ *   data/ledger_meta.json  — { fileHash } = SHA-256 of ledger.txt after the last write
+ *
+ * Appends are journaled so a crash cannot masquerade as tampering:
+ *   1. ledger.journal ← { offset, line, prevFileHash, fileHash }   (fsync + rename)
+ *   2. ledger.txt     ← line                                        (append + fsync)
+ *   3. ledger_meta    ← { fileHash }                                (fsync + rename)
+ *   4. ledger.journal removed
+ * A payout is committed once its full line is durable in ledger.txt. On
+ * open() a leftover journal is replayed: a complete line gets its meta fixed,
+ * a torn one is moved to ledger.torn and cut off. Only if the bytes before
+ * the journaled offset no longer match does the normal tamper check run.
+ *
+ * open() takes the single-writer lock (ledgerLock.js) and holds it until the
+ * process exits, so a second server cannot append to the same ledger and fork
+ * the chain.
+ *
+ * Implements the store contract described in ledgerStore.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { acquireLedgerLock } = require('./ledgerLock');
+
+function sha256Hex(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function fsyncDir(dir) {
+    try {
+        const fd = fs.openSync(dir, 'r');
+        try { fs.fsyncSync(fd); } finally { fs.closeSync(fd); }
+    } catch {
+        // Not supported on every platform (e.g. Windows) — rename is still atomic
+    }
+}
+
+/** Replace a file atomically: write + fsync a temp file, then rename over. */
+function writeFileAtomic(file, data) {
+    const tmp = `${file}.tmp`;
+    const fd = fs.openSync(tmp, 'w');
+    try {
+        fs.writeSync(fd, data);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, file);
+    fsyncDir(path.dirname(file));
+}
+
+function appendDurable(file, data) {
+    const fd = fs.openSync(file, 'a');
+    try {
+        fs.writeSync(fd, data);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * @param {{ dir: string }} options — data directory holding ledger.txt
+ */
+function createFileStore({ dir }) {
+    const LEDGER_FILE = path.join(dir, 'ledger.txt');
+    const META_FILE = path.join(dir, 'ledger_meta.json');
+    const JOURNAL_FILE = path.join(dir, 'ledger.journal');
+    const TORN_FILE = path.join(dir, 'ledger.torn');
+
+    let opened = false;
+
+    function readContent() {
+        return fs.existsSync(LEDGER_FILE) ? fs.readFileSync(LEDGER_FILE, 'utf-8') : '';
+    }
+
+    function saveMeta(fileHash) {
+        writeFileAtomic(META_FILE, JSON.stringify({ fileHash }));
+    }
+
+    function metaContent() {
+        return fs.existsSync(META_FILE) ? fs.readFileSync(META_FILE, 'utf-8') : null;
+    }
+
+    function loadMeta() {
+        const text = metaContent();
+        if (text === null) return null;
+        try {
+            return JSON.parse(text);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Finish or undo an append interrupted by a crash.
+     *
+     * With a journal: bytes before `offset` must still hash to `prevFileHash`;
+     * if the tail is exactly the journaled line it is kept (meta is rewritten),
+     * if it is a strict prefix of it (torn write) it is quarantined and cut off.
+     * Without a journal (crash under an older build): an unterminated last line
+     * is treated the same way if everything before it matches ledger_meta.json.
+     * Anything else is left untouched for the tamper check to report.
+     */
+    function recoverInterruptedAppend() {
+        const journal = fs.existsSync(JOURNAL_FILE)
+            ? JSON.parse(fs.readFileSync(JOURNAL_FILE, 'utf-8'))
+            : null;
+        const content = readContent();
+        if (!journal && (content === '' || content.endsWith('\n'))) return;
+
+        const meta = loadMeta();
+        const buf = Buffer.from(content, 'utf-8');
+        const offset = journal ? journal.offset : Buffer.byteLength(content.slice(0, content.lastIndexOf('\n') + 1));
+        const expectedPrefixHash = journal ? journal.prevFileHash : meta && meta.fileHash;
+
+        const tail = buf.subarray(offset).toString('utf-8');
+        const prefixHash = sha256Hex(buf.subarray(0, offset));
+
+        if (buf.length < offset || prefixHash !== expectedPrefixHash) {
+            console.error('[LEDGER] ✗ Interrupted append found, but earlier content has changed — not recovering.');
+            return;
+        }
+
+        if (journal && tail === journal.line + '\n') {
+            saveMeta(journal.fileHash);
+            console.warn('[LEDGER] ⚠ Recovered interrupted append: line was complete, meta updated.');
+        } else if (journal ? (journal.line + '\n').startsWith(tail) : !tail.includes('\n')) {
+            if (tail) {
+                appendDurable(TORN_FILE, `${new Date().toISOString()}|${Buffer.from(tail).toString('base64')}\n`);
+                fs.truncateSync(LEDGER_FILE, offset);
+            }
+            saveMeta(prefixHash);
+            console.warn(`[LEDGER] ⚠ Recovered torn write: ${Buffer.byteLength(tail)} byte(s) moved to ${TORN_FILE}.`);
+        } else {
+            console.error('[LEDGER] ✗ Interrupted append found, but tail does not match the journal — not recovering.');
+            return;
+        }
+
+        if (journal) fs.unlinkSync(JOURNAL_FILE);
+    }
+
+    // ─── Store contract ─────────────────────────────────────────────────────
+
+    function open() {
+        if (opened) return;
+        acquireLedgerLock(dir);
+        recoverInterruptedAppend();
+        opened = true;
+    }
+
+    function snapshot() {
+        const content = readContent();
+        return {
+            content,
+            meta: loadMeta(),
+            mark: { offset: Buffer.byteLength(content), fileHash: sha256Hex(content) },
+        };
+    }
+
+    /** The file has exactly the bytes it had at `mark` and meta agrees. */
+    function unchangedSince(mark) {
+        if (!fs.existsSync(LEDGER_FILE)) return mark.offset === 0;
+        if (fs.statSync(LEDGER_FILE).size !== mark.offset) return false;
+        const meta = loadMeta();
+        return Boolean(meta) && meta.fileHash === mark.fileHash &&
+            sha256Hex(fs.readFileSync(LEDGER_FILE)) === mark.fileHash;
+    }
+
+    function append(line, { prevFileHash, fileHash }) {
+        const offset = fs.existsSync(LEDGER_FILE) ? fs.statSync(LEDGER_FILE).size : 0;
+
+        writeFileAtomic(JOURNAL_FILE, JSON.stringify({ offset, line, prevFileHash, fileHash }));
+        appendDurable(LEDGER_FILE, line + '\n');
+        saveMeta(fileHash);
+        fs.unlinkSync(JOURNAL_FILE);
+
+        return { offset: offset + Buffer.byteLength(line + '\n'), fileHash };
+    }
+
+    return {
+        name: 'file',
+        location: LEDGER_FILE,
+        open,
+        check: () => [],
+        snapshot,
+        unchangedSince,
+        append,
+        metaContent,
+    };
+}
+
+module.exports = { createFileStore, writeFileAtomic };
@@ -0,0 +1,176 @@
+/**
+ * ledgerStoreSqlite.js — Embedded SQLite Ledger Store
+ *
+ * One row per ledger record, holding the record line byte-for-byte, so hashes,
+ * signatures, the Merkle tree and exports are identical to the text-file store.
+ * The "file hash" is defined over the same text the file store would hold
+ * (every line + '\n'), kept in ledger_meta and updated in the same transaction
+ * as the insert — no journal needed.
+ *
+ * Append-only is enforced by the database itself:
+ *   ledger_no_update / ledger_no_delete — reject any UPDATE or DELETE
+ *   ledger_chain — an INSERT must take the next seq and its prev_hash must be
+ *                  the current head's curr_hash, so no writer (this server, a
+ *                  second instance, or a hand-run sqlite3 shell) can fork or
+ *                  splice the chain.
+ * A store whose triggers have been dropped reports it from check(), which
+ * fails the integrity check; they are never silently re-created.
+ *
+ * Like the file store, a writable open() takes the single-writer lock
+ * (ledgerLock.js) in the database's directory.
+ *
+ * Change detection is O(1): row count, head hash and stored file hash, plus
+ * PRAGMA data_version (moves on any commit by another connection, e.g. a row
+ * edited behind dropped-and-recreated triggers) and PRAGMA schema_version
+ * (moves on any trigger or table change). Both are taken at snapshot() and
+ * carried through this connection's own appends, which move neither.
+ *
+ * Implements the store contract described in ledgerStore.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { GENESIS_HASH, parseLine } = require('./ledgerFormat');
+const { acquireLedgerLock } = require('./ledgerLock');
+
+const TRIGGERS = ['ledger_no_update', 'ledger_no_delete', 'ledger_chain'];
+
+// File hash of an empty ledger (no ledger_meta row yet)
+const EMPTY_FILE_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS ledger (
+        seq       INTEGER PRIMARY KEY,
+        line      TEXT NOT NULL,
+        prev_hash TEXT NOT NULL,
+        curr_hash TEXT NOT NULL UNIQUE
+    );
+    CREATE TABLE IF NOT EXISTS ledger_meta (
+        key   TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+    CREATE TRIGGER IF NOT EXISTS ledger_no_update BEFORE UPDATE ON ledger
+    BEGIN
+        SELECT RAISE(ABORT, 'ledger is append-only: UPDATE rejected');
+    END;
+    CREATE TRIGGER IF NOT EXISTS ledger_no_delete BEFORE DELETE ON ledger
+    BEGIN
+        SELECT RAISE(ABORT, 'ledger is append-only: DELETE rejected');
+    END;
+    CREATE TRIGGER IF NOT EXISTS ledger_chain BEFORE INSERT ON ledger
+    WHEN NEW.seq IS NOT COALESCE((SELECT MAX(seq) FROM ledger), 0) + 1
+      OR NEW.prev_hash IS NOT COALESCE((SELECT curr_hash FROM ledger ORDER BY seq DESC LIMIT 1), '${GENESIS_HASH}')
+    BEGIN
+        SELECT RAISE(ABORT, 'ledger insert does not extend the chain head');
+    END;
+`;
+
+/**
+ * @param {{ file: string, readonly?: boolean }} options
+ *   `readonly` opens an existing database without creating the schema
+ *   (used by scripts/verify_ledger.js).
+ */
+function createSqliteStore({ file, readonly = false }) {
+    const Database = require('better-sqlite3');
+    let db = null;
+    let stmt = null;
+    let appendTx = null;
+    let versions = null;    // { dataVersion, schemaVersion } at the last snapshot()
+
+    function open() {
+        if (db) return;
+        if (readonly) {
+            db = new Database(file, { readonly: true, fileMustExist: true });
+        } else {
+            acquireLedgerLock(path.dirname(file));
+            db = new Database(file);
+            db.pragma('journal_mode = WAL');
+            db.pragma('synchronous = FULL');
+            // Schema (and triggers) only for a new database: a trigger missing
+            // from an existing one is evidence, reported by check(), not repaired
+            const exists = db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'ledger'`).get();
+            if (!exists) db.exec(SCHEMA);
+        }
+        stmt = {
+            lines: db.prepare('SELECT line FROM ledger ORDER BY seq').pluck(),
+            head: db.prepare('SELECT seq, curr_hash AS currHash FROM ledger ORDER BY seq DESC LIMIT 1'),
+            meta: db.prepare('SELECT value FROM ledger_meta WHERE key = ?').pluck(),
+            triggers: db.prepare(`SELECT name FROM sqlite_master WHERE type = 'trigger' AND tbl_name = 'ledger'`).pluck(),
+        };
+        stmt.dataVersion = () => db.pragma('data_version', { simple: true });
+        stmt.schemaVersion = () => db.pragma('schema_version', { simple: true });
+        if (!readonly) {
+            stmt.insert = db.prepare('INSERT INTO ledger (seq, line, prev_hash, curr_hash) VALUES (?, ?, ?, ?)');
+            stmt.setMeta = db.prepare('INSERT INTO ledger_meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value');
+            appendTx = db.transaction((line, fileHash) => {
+                const entry = parseLine(line);
+                const seq = head().seq + 1;
+                stmt.insert.run(seq, line, entry.prevHash, entry.currHash);
+                stmt.setMeta.run('fileHash', fileHash);
+                return { seq, currHash: entry.currHash, fileHash, ...versions };
+            });
+        }
+    }
+
+    function loadMeta() {
+        const fileHash = stmt.meta.get('fileHash');
+        return fileHash ? { fileHash } : null;
+    }
+
+    function head() {
+        return stmt.head.get() || { seq: 0, currHash: GENESIS_HASH };
+    }
+
+    /** Storage-level findings for the integrity report. */
+    function check() {
+        const present = stmt.triggers.all();
+        const missing = TRIGGERS.filter(t => !present.includes(t));
+        return missing.length
+            ? [{ line: null, reason: `Append-only triggers missing from ${path.basename(file)}: ${missing.join(', ')}` }]
+            : [];
+    }
+
+    function snapshot() {
+        versions = { dataVersion: stmt.dataVersion(), schemaVersion: stmt.schemaVersion() };
+        const lines = stmt.lines.all();
+        const content = lines.map(l => l + '\n').join('');
+        const { seq, currHash } = head();
+        return {
+            content,
+            meta: loadMeta(),
+            mark: { seq, currHash, fileHash: crypto.createHash('sha256').update(content).digest('hex'), ...versions },
+        };
+    }
+
+    function unchangedSince(mark) {
+        const { seq, currHash } = head();
+        const meta = loadMeta();
+        return stmt.dataVersion() === mark.dataVersion && stmt.schemaVersion() === mark.schemaVersion &&
+            seq === mark.seq && currHash === mark.currHash &&
+            (meta ? meta.fileHash : EMPTY_FILE_HASH) === mark.fileHash &&
+            check().length === 0;
+    }
+
+    function append(line, { fileHash }) {
+        return appendTx.immediate(line, fileHash);
+    }
+
+    function metaContent() {
+        const meta = loadMeta();
+        return meta ? JSON.stringify(meta) : null;
+    }
+
+    return {
+        name: 'sqlite',
+        location: file,
+        open,
+        check,
+        snapshot,
+        unchangedSince,
+        append,
+        metaContent,
+    };
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,185 @@
+/**
+ * ledgerVerify.js — Ledger Chain & File-Hash Verification (state-free)
+ *
+ * The checks behind ledger.verifyIntegrity(), as a pure function over the
+ * ledger text, the parsed ledger_meta.json and the public keyring:
+ *   1. stored file hash vs SHA-256 of the ledger content
+ *   2. PreviousHash/CurrentHash chain of every line (all format versions)
+ *   3. Ed25519 signature of every line against the key active at that point,
+ *      following KEY_ROTATION records from the genesis key
+ *   4. unsigned lines only inside the legacy prefix pinned in the keyring; a
+ *      non-empty ledger with no keyring at all fails unless `adoptLegacy`
+ *
+ * No file I/O, no logging, no server state (signer.js is used only for
+ * keyIdOf, never its loaded keyring): scripts/verify_ledger.js runs the
+ * exact same code offline against a data directory or an export bundle.
+ */
+
+const crypto = require('crypto');
+const format = require('./ledgerFormat');
+const { keyIdOf } = require('./signer');
+
+const { GENESIS_HASH, KEY_ROTATION } = format;
+
+function splitLines(content) {
+    return content
+        .split('\n')
+        .map(l => l.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Signature checker over a keyring's public keys (base64 SPKI DER).
+ * @param {object|null} keyring
+ */
+function createKeyVerifier(keyring) {
+    const cache = new Map();
+
+    function publicKey(keyId) {
+        if (cache.has(keyId)) return cache.get(keyId);
+        const record = keyring && keyring.keys[keyId];
+        const key = record
+            ? crypto.createPublicKey({ key: Buffer.from(record.publicKey, 'base64'), format: 'der', type: 'spki' })
+            : null;
+        cache.set(keyId, key);
+        return key;
+    }
+
+    return {
+        verify(keyId, currentHash, signature) {
+            const key = publicKey(keyId);
+            if (!key) return false;
+            try {
+                return crypto.verify(null, Buffer.from(currentHash, 'hex'), key, Buffer.from(signature, 'base64'));
+            } catch {
+                return false;
+            }
+        },
+        knows(keyId, base64Spki) {
+            const record = keyring && keyring.keys[keyId];
+            return Boolean(record) && record.publicKey === base64Spki &&
+                keyIdOf(Buffer.from(base64Spki, 'base64')) === keyId;
+        },
+    };
+}
+
+/** Empty forensic report skeleton for one integrity check. */
+function newReport({ lineCount, stored, actual }) {
+    return {
+        checkedAt: new Date().toISOString(),
+        valid: true,
+        lineCount,
+        fileHash: { stored, actual, match: stored === null || stored === actual },
+        firstBrokenLine: null,   // { line, timestamp, expected/stored Prev/Curr hashes }
+        malformedLines: [],      // [{ line, reason, content }]
+        lastKnownGood: null,     // { line, currHash, timestamp } — last line before the first problem
+        issues: [],              // every finding, in file order
+    };
+}
+
+/**
+ * Verify a ledger. The whole content is walked even after the first problem
+ * so the report lists every finding, not just the first.
+ *
+ * @param {{ content: string, meta: { fileHash: string } | null, keyring: object | null,
+ *           adoptLegacy?: boolean, onEntry?: (entry: object, lineNo: number, line: string) => void }} input
+ *   `adoptLegacy` accepts a keyring-less ledger so its unsigned lines can be pinned
+ *   (LEDGER_ADOPT_LEGACY=1). `onEntry` is called for every parseable line, in order
+ *   (used to build indexes).
+ * @returns {{ report: object, lines: string[], head: string|null, signingKeyId: string|null }}
+ *   `head` is the CurrentHash of the last parseable line (GENESIS_HASH if empty),
+ *   `signingKeyId` the key that must sign the next entry.
+ */
+function verifyLedger({ content, meta, keyring, adoptLegacy = false, onEntry }) {
+    const lines = splitLines(content);
+    const actual = crypto.createHash('sha256').update(content).digest('hex');
+    const report = newReport({ lineCount: lines.length, stored: meta ? meta.fileHash : null, actual });
+    const keys = createKeyVerifier(keyring);
+
+    const flag = (line, reason, details = {}) => {
+        report.issues.push({ line, reason, ...details });
+    };
+
+    // Step 1: file-level hash check
+    if (meta && !report.fileHash.match) {
+        flag(null, 'File hash mismatch — TAMPERING DETECTED');
+    }
+
+    if (!keyring && lines.length && !adoptLegacy) {
+        flag(null, 'No signing keyring found for a non-empty ledger (start once with LEDGER_ADOPT_LEGACY=1 to pin an existing unsigned ledger)');
+    }
+    if (keyring && lines.length < keyring.legacy.lines) {
+        flag(null, `Ledger truncated: ${lines.length} line(s), legacy prefix alone has ${keyring.legacy.lines}`);
+    }
+
+    // Step 2 + 3: walk the hash chain and signatures
+    let prevHash = GENESIS_HASH;   // stored CurrentHash of the previous line (null after a malformed line)
+    let signingKeyId = keyring ? keyring.genesisKeyId : null;
+    let chainIntact = true;        // false once any line-level problem has been seen
+
+    for (let i = 0; i < lines.length; i++) {
+        const lineNo = i + 1;
+        const issuesBefore = report.issues.length;
+        const entry = format.parseLine(lines[i]);
+
+        if (entry.error) {
+            report.malformedLines.push({
+                line: lineNo,
+                reason: entry.error,
+                content: lines[i].slice(0, 200),
+            });
+            flag(lineNo, `Malformed line: ${entry.error}`);
+            prevHash = null;
+        } else {
+            const expectedCurrHash = entry.expectedHash;
+            if ((prevHash !== null && entry.prevHash !== prevHash) || entry.currHash !== expectedCurrHash) {
+                const details = {
+                    timestamp: entry.timestamp,
+                    expectedPrevHash: prevHash,
+                    storedPrevHash: entry.prevHash,
+                    expectedCurrHash,
+                    storedCurrHash: entry.currHash,
+                };
+                if (!report.firstBrokenLine) report.firstBrokenLine = { line: lineNo, ...details };
+                flag(lineNo, 'Hash chain broken', details);
+            }
+
+            if (!entry.signature) {
+                if (keyring && i >= keyring.legacy.lines) flag(lineNo, 'Unsigned entry');
+            } else if (!keyring) {
+                flag(lineNo, 'Signed entry but no signing keyring found');
+            } else if (entry.keyId !== signingKeyId) {
+                flag(lineNo, `Signed by ${entry.keyId}, expected ${signingKeyId}`);
+            } else if (!keys.verify(entry.keyId, entry.currHash, entry.signature)) {
+                flag(lineNo, 'Invalid signature');
+            }
+
+            if (keyring && i === keyring.legacy.lines - 1 && entry.currHash !== keyring.legacy.head) {
+                flag(lineNo, 'Legacy (unsigned) prefix does not match the head pinned in the keyring', {
+                    expectedCurrHash: keyring.legacy.head,
+                    storedCurrHash: entry.currHash,
+                });
+            }
+
+            if (entry.type === KEY_ROTATION) {
+                if (!keys.knows(entry.newKeyId, entry.newPublicKey)) {
+                    flag(lineNo, 'Key rotation introduces an unknown key');
+                }
+                signingKeyId = entry.newKeyId;
+            }
+
+            prevHash = entry.currHash;
+            if (onEntry) onEntry(entry, lineNo, lines[i]);
+        }
+
+        if (report.issues.length > issuesBefore) chainIntact = false;
+        if (chainIntact) {
+            report.lastKnownGood = { line: lineNo, currHash: entry.currHash, timestamp: entry.timestamp };
+        }
+    }
+
+    report.valid = report.issues.length === 0;
+    return { report, lines, head: prevHash, signingKeyId };
+}
+
+module.exports = { verifyLedger, newReport, splitLines, createKeyVerifier };
@@ -0,0 +1,103 @@
+/**
+ * merkle.js — Append-Only Merkle Tree
+ *
+ * Leaves and inner nodes are domain-separated so a leaf can never be passed
+ * off as an inner node:
+ *   Leaf  = SHA256(0x00 || line)
+ *   Node  = SHA256(0x01 || left || right)
+ *
+ * An odd node at the end of a level is promoted unchanged to the next level,
+ * which lets the tree grow one leaf at a time in O(log n) without rebuilding.
+ */
+
+const crypto = require('crypto');
+
+// Root of a tree with no leaves
+const EMPTY_ROOT = '0'.repeat(64);
+
+function hashLeaf(data) {
+    return crypto.createHash('sha256').update('\x00').update(data).digest('hex');
+}
+
+function hashNode(left, right) {
+    return crypto.createHash('sha256')
+        .update('\x01')
+        .update(Buffer.from(left, 'hex'))
+        .update(Buffer.from(right, 'hex'))
+        .digest('hex');
+}
+
+/**
+ * Create an empty tree. levels[0] holds leaf hashes, the last level the root.
+ */
+function createMerkleTree() {
+    const levels = [[]];
+
+    /** Add a leaf (raw data, e.g. a ledger line) and update the path to the root. */
+    function append(data) {
+        levels[0].push(hashLeaf(data));
+
+        let idx = levels[0].length - 1;
+        for (let k = 0; levels[k].length > 1; k++) {
+            const parentIdx = idx >> 1;
+            const left = levels[k][parentIdx * 2];
+            const right = levels[k][parentIdx * 2 + 1];
+            if (!levels[k + 1]) levels[k + 1] = [];
+            levels[k + 1][parentIdx] = right === undefined ? left : hashNode(left, right);
+            idx = parentIdx;
+        }
+        return levels[0].length - 1;
+    }
+
+    function size() {
+        return levels[0].length;
+    }
+
+    function root() {
+        if (levels[0].length === 0) return EMPTY_ROOT;
+        let k = 0;
+        while (levels[k].length > 1) k++;
+        return levels[k][0];
+    }
+
+    /**
+     * Inclusion path for the leaf at `index`, from the leaf up to the root.
+     * @returns {Array<{ position: 'left'|'right', hash: string }>}
+     */
+    function proof(index) {
+        if (index < 0 || index >= levels[0].length) return null;
+        const path = [];
+        let idx = index;
+        for (let k = 0; levels[k].length > 1; k++) {
+            const siblingIdx = idx ^ 1;
+            if (siblingIdx < levels[k].length) {
+                path.push({
+                    position: siblingIdx < idx ? 'left' : 'right',
+                    hash: levels[k][siblingIdx],
+                });
+            }
+            idx >>= 1;
+        }
+        return path;
+    }
+
+    function leaf(index) {
+        return levels[0][index];
+    }
+
+    return { append, size, root, proof, leaf };
+}
+
+/**
+ * Recompute the root from a leaf hash and its inclusion path.
+ * @returns {boolean} true if the path leads to `root`
+ */
+function verifyProof(leafHash, path, root) {
+    let acc = leafHash;
+    for (const step of path) {
+        acc = step.position === 'left' ? hashNode(step.hash, acc) : hashNode(acc, step.hash);
+    }
+    return acc === root;
+}
+
+module.exports = { createMerkleTree, verifyProof, hashLeaf, EMPTY_ROOT };
@@ -0,0 +1,111 @@
+/**
+ * quotas.js — Regional Spend Tracking
+ *
+ * Net disbursement per registry region_code (e.g. 'MP-11'), in total and for
+ * the current day, so the regionalQuota gate (gates.js) can cap what one
+ * district or state draws from the national allocation.
+ *
+ * Every ledger entry counts towards the day of its own timestamp (IST), so a
+ * reversal made today frees today's daily limit, not the day of the original
+ * payout. Only the latest day is kept per region.
+ *
+ * State figures are summed from their regions ('MP-11' → 'MP').
+ */
+
+const registry = require('./registry');
+
+const TIME_ZONE = 'Asia/Kolkata';
+const UNKNOWN_REGION = 'UNKNOWN';
+
+// region_code → { spent, day, spentToday }
+const spend = new Map();
+
+/** Calendar day (YYYY-MM-DD, IST) of a timestamp. */
+function dayOf(timestamp) {
+    return new Date(timestamp).toLocaleDateString('en-CA', { timeZone: TIME_ZONE });
+}
+
+/** State part of a region code: 'MP-11' → 'MP'. */
+function stateOf(region) {
+    return String(region).split('-')[0];
+}
+
+/**
+ * Region a ledger entry is charged to: the region recorded at approval
+ * (ext.region), else the citizen's current registry record.
+ */
+function regionOf(entry) {
+    if (entry.ext && entry.ext.region) return entry.ext.region;
+    const record = registry.lookup(entry.citizenHash);
+    return (record && record.region_code) || UNKNOWN_REGION;
+}
+
+/**
+ * Add a signed amount to a region's spend.
+ * @param {string} region
+ * @param {number} amount — negative for reversals and downward adjustments
+ * @param {string} timestamp — ledger timestamp of the entry
+ */
+function record(region, amount, timestamp) {
+    const key = region || UNKNOWN_REGION;
+    const day = dayOf(timestamp);
+    const row = spend.get(key) || { spent: 0, day, spentToday: 0 };
+    row.spent += amount;
+    if (day > row.day) {
+        row.day = day;
+        row.spentToday = 0;
+    }
+    if (day === row.day) row.spentToday += amount;
+    spend.set(key, row);
+}
+
+/**
+ * Rebuild regional spend from ledger entries (startup, after the integrity check).
+ * @param {object[]} entries
+ * @param {(entry: object) => number} budgetDelta — ledger.budgetDelta
+ */
+function restore(entries, budgetDelta) {
+    spend.clear();
+    for (const entry of entries) {
+        const delta = budgetDelta(entry);
+        if (delta !== 0) record(regionOf(entry), delta, entry.timestamp);
+    }
+}
+
+/**
+ * Spend for a region, or for a whole state when level is 'state'.
+ * @param {string} region — region_code of the claim
+ * @param {'region'|'state'} level
+ * @param {Date} [now]
+ * @returns {{ key: string, spent: number, spentToday: number }}
+ */
+function usage(region, level, now = new Date()) {
+    const key = level === 'state' ? stateOf(region) : region;
+    const today = dayOf(now);
+    let spent = 0;
+    let spentToday = 0;
+    for (const [code, row] of spend) {
+        if ((level === 'state' ? stateOf(code) : code) !== key) continue;
+        spent += row.spent;
+        if (row.day === today) spentToday += row.spentToday;
+    }
+    return { key, spent, spentToday };
+}
+
+/**
+ * Spend per region, largest first.
+ * @returns {Array<{ region: string, state: string, spent: number, spentToday: number }>}
+ */
+function getRegionSpend(now = new Date()) {
+    const today = dayOf(now);
+    return [...spend]
+        .map(([region, row]) => ({
+            region,
+            state: stateOf(region),
+            spent: row.spent,
+            spentToday: row.day === today ? row.spentToday : 0,
+        }))
+        .sort((a, b) => b.spent - a.spent || a.region.localeCompare(b.region));
+}
+
+module.exports = { record, restore, usage, regionOf, getRegionSpend, stateOf, UNKNOWN_REGION };
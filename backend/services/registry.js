@@ -1,91 +1,245 @@
 /**
- * registry.js — Excel Registry Loader
- * Reads jan_dhan_registry_advanced.xlsx and builds an in-memory lookup map
- * keyed by SHA-256 hash of each Citizen_ID. Raw IDs are never stored.
+ * registry.js — Citizen Registry
+ * Reads the registry through the configured source (registrySource.js: XLSX
+ * by default, or JSON, CSV, SQLite) and builds an in-memory lookup map keyed
+ * by the keyed hash of each Citizen_ID (HMAC-SHA-256, see citizenHash.js).
+ * Raw IDs are never stored.
+ * Claim history from payouts made here is merged in from registryOverlay.js.
+ *
+ * Reloading: reloadRegistry() (POST /api/admin/registry/reload, or a change
+ * to the source file when REGISTRY_WATCH=1) reads and validates a complete
+ * new map while the current one keeps serving, then swaps it in with a single
+ * assignment. On any problem the current registry stays live. Only the boot
+ * load stops the server, since there is nothing to fall back to.
  */
 
-const XLSX = require('xlsx');
-const crypto = require('crypto');
+const fs = require('fs');
 const path = require('path');
+const overlay = require('./registryOverlay');
+const { normaliseRow, missingColumns } = require('./registryFormat');
+const { createRegistrySource } = require('./registrySource');
+const quality = require('./registryQuality');
+const { hashCitizenId, getHashingInfo } = require('./citizenHash');
 
-// Hash → record map
-const registryMap = new Map();
-const schemeSet = new Set();
+// A reload that would drop more than this share of records is refused unless forced
+const MAX_SHRINK = parseFloat(process.env.REGISTRY_MAX_SHRINK) || 0.2;
+const WATCH = process.env.REGISTRY_WATCH === '1';
 
-const EXCEL_PATH = path.join(__dirname, '..', '..', 'jan_dhan_registry_advanced.xlsx');
-const SHEET_NAME = 'Jan_Dhan_Registry_Advanced';
+// Fields whose change is reported in a reload diff
+const DIFF_FIELDS = ['account_status', 'aadhaar_linked', 'scheme_eligibility', 'scheme_amount'];
+const DIFF_SAMPLE = 50;
+
+let source = null;
+
+// Registry being served: { map: hash → record, schemes: Set, quality: report, loadedAt }
+let current = { map: new Map(), schemes: new Set(), quality: null, loadedAt: null };
+let reloading = false;
+let lastReload = null;
 
 /**
- * Hash a Citizen ID string consistently.
- * Normalises to 12-digit zero-padded string before hashing.
+ * Build and validate a complete registry from raw source rows. Touches nothing live.
+ * Data-quality issues, duplicate IDs included, are reported; only a strict
+ * import refuses a registry, for rules over their threshold. A repeated ID
+ * keeps its first row.
+ * @param {{ rows: object[], columns: string[] }} input
+ * @param {number} firstRowNumber — the source's number for rows[0]
+ * @returns {{ map: Map, schemes: Set, quality: object|null, errors: string[] }}
  */
-function hashCitizenId(rawId) {
-    const normalised = String(rawId).trim().padStart(12, '0');
-    return crypto.createHash('sha256').update(normalised).digest('hex');
+function buildRegistry({ rows, columns }, firstRowNumber) {
+    const map = new Map();
+    const schemes = new Set();
+
+    const missing = missingColumns(columns);
+    if (missing.length) return { map, schemes, quality: null, errors: [`Missing column(s): ${missing.join(', ')}.`] };
+
+    const config = quality.loadQualityConfig();
+    const report = quality.inspect(rows, config, { firstRowNumber });
+    const errors = config.strict
+        ? quality.exceeded(report, config.thresholds).map(e => `Strict import: ${e}`)
+        : [];
+
+    for (const row of rows) {
+        const { citizen_id: citizenId, ...record } = normaliseRow(row);
+        const hash = citizenId && hashCitizenId(citizenId);
+        if (!hash || map.has(hash)) continue;
+
+        map.set(hash, record);
+        if (record.scheme_eligibility) schemes.add(record.scheme_eligibility);
+    }
+
+    if (map.size === 0) errors.push('The registry has no records.');
+    return { map, schemes, quality: { ...report, strict: config.strict, thresholds: config.thresholds }, errors };
 }
 
-/** Load and index the Excel registry. Called once at server startup. */
-function loadRegistry() {
-    try {
-        const wb = XLSX.readFile(EXCEL_PATH, { cellDates: true });
-        const ws = wb.Sheets[SHEET_NAME];
-        if (!ws) throw new Error(`Sheet "${SHEET_NAME}" not found in Excel file.`);
-
-        const rows = XLSX.utils.sheet_to_json(ws, { raw: true, cellDates: true });
-
-        rows.forEach((row, idx) => {
-            const rawId = row['Citizen_ID'];
-            if (!rawId) return;
-
-            const hash = hashCitizenId(rawId);
-
-            // Normalise Aadhaar_Linked — may be Excel boolean (true/false) or string
-            const aadhaarRaw = row['Aadhaar_Linked'];
-            const aadhaarLinked =
-                aadhaarRaw === true ||
-                String(aadhaarRaw).trim().toLowerCase() === 'true';
-
-            // Normalise Last_Claim_Date — could be JS Date (cellDates:true) or string
-            let lastClaimDate = null;
-            if (row['Last_Claim_Date']) {
-                const d = row['Last_Claim_Date'];
-                lastClaimDate = d instanceof Date ? d : new Date(d);
-                if (isNaN(lastClaimDate.getTime())) lastClaimDate = null;
+/** Log a data-quality summary when the checks found anything. */
+function logQuality(report) {
+    if (!report.issues.length) return;
+    console.warn(`[REGISTRY] ⚠ Data quality: ${report.issues.length} issue(s) in ${report.checked} rows ` +
+        `(${quality.describeCounts(report.counts)}). See GET /api/admin/registry/quality.`);
+}
+
+/**
+ * What a reload changes: records added, removed, and changed in status or
+ * eligibility (DIFF_FIELDS). Lists hold citizen hashes, capped at DIFF_SAMPLE.
+ */
+function diffRegistries(oldMap, newMap) {
+    const diff = {
+        before: oldMap.size,
+        after: newMap.size,
+        added: { count: 0, sample: [] },
+        removed: { count: 0, sample: [] },
+        changed: { count: 0, byField: Object.fromEntries(DIFF_FIELDS.map(f => [f, 0])), sample: [] },
+    };
+    const note = (bucket, item) => {
+        bucket.count += 1;
+        if (bucket.sample.length < DIFF_SAMPLE) bucket.sample.push(item);
+    };
+
+    for (const [hash, next] of newMap) {
+        const prev = oldMap.get(hash);
+        if (!prev) {
+            note(diff.added, hash);
+            continue;
+        }
+        const changes = {};
+        for (const field of DIFF_FIELDS) {
+            if (prev[field] !== next[field]) {
+                changes[field] = { from: prev[field], to: next[field] };
+                diff.changed.byField[field] += 1;
             }
+        }
+        if (Object.keys(changes).length) note(diff.changed, { citizenHash: hash, changes });
+    }
+    for (const hash of oldMap.keys()) {
+        if (!newMap.has(hash)) note(diff.removed, hash);
+    }
+    return diff;
+}
 
-            const schemeEligibility = String(row['Scheme_Eligibility'] || '').trim();
-            const schemeAmount = parseFloat(row['Scheme_Amount']) || 0;
-
-            registryMap.set(hash, {
-                account_status: String(row['Account_Status'] || '').trim(),
-                aadhaar_linked: aadhaarLinked,
-                scheme_eligibility: schemeEligibility,
-                scheme_amount: schemeAmount,
-                last_claim_date: lastClaimDate,
-                claim_count: parseInt(row['Claim_Count']) || 0,
-                income_tier: String(row['Income_Tier'] || '').trim(),
-                region_code: String(row['Region_Code'] || '').trim(),
-            });
-
-            if (schemeEligibility) schemeSet.add(schemeEligibility);
-        });
-
-        console.log(`[REGISTRY] ✓ Loaded ${registryMap.size} records from Excel.`);
-        console.log(`[REGISTRY] ✓ Available schemes: ${[...schemeSet].join(', ')}`);
+/** Load and index the registry. Called once at server startup. */
+function loadRegistry() {
+    let built;
+    try {
+        source = createRegistrySource();
+        built = buildRegistry(source.readSync(), source.firstRowNumber);
     } catch (err) {
-        console.error('[REGISTRY] ✗ Failed to load registry:', err.message);
+        built = { errors: [err.message] };
+    }
+    if (built.errors.length) {
+        console.error('[REGISTRY] ✗ Failed to load registry:');
+        built.errors.forEach(e => console.error(`    - ${e}`));
         process.exit(1);
     }
+
+    current = { map: built.map, schemes: built.schemes, quality: built.quality, loadedAt: new Date().toISOString() };
+    console.log(`[REGISTRY] ✓ Loaded ${current.map.size} records from ${source.name.toUpperCase()} (${path.basename(source.location)}).`);
+    console.log(`[REGISTRY] ✓ Available schemes: ${[...current.schemes].join(', ')}`);
+    logQuality(current.quality);
+    if (!getHashingInfo().pepperId) {
+        console.warn('[REGISTRY] ⚠ Citizen IDs are hashed without a pepper (plain SHA-256). Run scripts/rotate_pepper.js.');
+    }
+    overlay.load();
+    if (WATCH) watchRegistry();
+}
+
+/**
+ * Re-read the registry file and swap it in if it is valid.
+ * @param {{ force?: boolean }} [options] — force: accept a reload that drops more than MAX_SHRINK of records
+ * @returns {Promise<{ success: true, diff: object } | { success: false, busy?: true, errors: string[] }>}
+ */
+async function reloadRegistry({ force = false } = {}) {
+    if (reloading) return { success: false, busy: true, errors: ['A registry reload is already running.'] };
+    reloading = true;
+    const startedAt = new Date().toISOString();
+    try {
+        let built;
+        try {
+            built = buildRegistry(await source.read(), source.firstRowNumber);
+        } catch (err) {
+            built = { errors: [`Cannot read ${path.basename(source.location)}: ${err.message}`] };
+        }
+
+        if (!built.errors.length && !force && built.map.size < current.map.size * (1 - MAX_SHRINK)) {
+            built.errors.push(`New registry has ${built.map.size} records, ${current.map.size - built.map.size} fewer than the ` +
+                `${current.map.size} being served (more than ${Math.round(MAX_SHRINK * 100)}%). Reload with force to accept it.`);
+        }
+        const summary = built.quality ? quality.summarise(built.quality) : null;
+        if (built.errors.length) {
+            lastReload = { success: false, startedAt, finishedAt: new Date().toISOString(), errors: built.errors, quality: summary };
+            console.error(`[REGISTRY] ✗ Reload rejected — keeping the current ${current.map.size} records. ${built.errors.length} error(s).`);
+            return { success: false, errors: built.errors, quality: summary };
+        }
+
+        const diff = diffRegistries(current.map, built.map);
+        current = { map: built.map, schemes: built.schemes, quality: built.quality, loadedAt: new Date().toISOString() };
+        lastReload = { success: true, startedAt, finishedAt: current.loadedAt, diff, quality: summary };
+        console.log(`[REGISTRY] ✓ Reloaded ${diff.after} records (+${diff.added.count} / −${diff.removed.count} / ~${diff.changed.count} changed).`);
+        logQuality(current.quality);
+        return { success: true, diff, quality: summary };
+    } finally {
+        reloading = false;
+    }
+}
+
+/** Reload when the file changes (polled, so editors that replace the file are seen). */
+function watchRegistry() {
+    let timer = null;
+    fs.watchFile(source.location, { interval: 5000, persistent: false }, (now, before) => {
+        if (now.mtimeMs === before.mtimeMs) return;
+        clearTimeout(timer);
+        // Let the writer finish before reading
+        timer = setTimeout(() => reloadRegistry(), 2000);
+    });
+    console.log(`[REGISTRY] ✓ Watching ${path.basename(source.location)} for changes.`);
 }
 
-/** Lookup a citizen by their SHA-256 hash. Returns record or null. */
+/**
+ * Lookup a citizen by their hash, with claim history from the
+ * overlay merged in. Returns record or null.
+ */
 function lookup(hash) {
-    return registryMap.get(hash) || null;
+    const record = current.map.get(hash);
+    return record ? overlay.apply(hash, record) : null;
 }
 
 /** Return sorted list of unique scheme names from registry. */
 function getSchemes() {
-    return [...schemeSet].sort();
+    return [...current.schemes].sort();
+}
+
+/** What is being served, and how the last reload went. */
+function getRegistryInfo() {
+    return {
+        source: source ? source.name : null,
+        file: source ? source.location : null,
+        records: current.map.size,
+        schemes: getSchemes(),
+        loadedAt: current.loadedAt,
+        hashing: getHashingInfo(),
+        quality: current.quality ? { ...quality.summarise(current.quality), strict: current.quality.strict } : null,
+        watching: WATCH,
+        reloading,
+        lastReload,
+    };
+}
+
+/**
+ * Data-quality report of the registry being served.
+ * @param {{ rule?: string, limit?: number }} [filter]
+ */
+function getQualityReport({ rule, limit = 500 } = {}) {
+    const report = current.quality;
+    if (!report) return null;
+    const issues = rule ? report.issues.filter(i => i.rule === rule) : report.issues;
+    return {
+        loadedAt: current.loadedAt,
+        checked: report.checked,
+        counts: report.counts,
+        strict: report.strict,
+        thresholds: report.thresholds,
+        total: issues.length,
+        issues: issues.slice(0, limit),
+    };
 }
 
-module.exports = { loadRegistry, lookup, getSchemes, hashCitizenId };
+module.exports = { loadRegistry, reloadRegistry, lookup, getSchemes, getRegistryInfo, getQualityReport, hashCitizenId };
@@ -0,0 +1,80 @@
+/**
+ * registryFormat.js — Registry Record Normalisation
+ *
+ * The one place a raw registry row becomes a record. Used by every registry
+ * source (registrySource.js) and by scripts/convert_registry.js, so the JSON,
+ * CSV and SQLite copies hold exactly what the server would read from Excel.
+ *
+ * A row may use the spreadsheet's column names (Citizen_ID, Account_Status, …)
+ * or the normalised field names (citizen_id, account_status, …).
+ */
+
+// field → spreadsheet column
+const COLUMNS = {
+    citizen_id: 'Citizen_ID',
+    account_status: 'Account_Status',
+    aadhaar_linked: 'Aadhaar_Linked',
+    scheme_eligibility: 'Scheme_Eligibility',
+    scheme_amount: 'Scheme_Amount',
+    claim_count: 'Claim_Count',
+    last_claim_date: 'Last_Claim_Date',
+    income_tier: 'Income_Tier',
+    region_code: 'Region_Code',
+};
+const FIELDS = Object.keys(COLUMNS);
+const REQUIRED_FIELDS = ['citizen_id', 'account_status', 'scheme_eligibility', 'scheme_amount'];
+
+/** A field's raw value from a row, under either naming. */
+function pick(row, field) {
+    const value = row[COLUMNS[field]];
+    return value === undefined ? row[field] : value;
+}
+
+/** Citizen ID as a 12-digit zero-padded string ('' if absent). */
+function normaliseCitizenId(rawId) {
+    return rawId === undefined || rawId === null || rawId === '' ? '' : String(rawId).trim().padStart(12, '0');
+}
+
+/**
+ * One raw row → registry record, with citizen_id as a 12-digit string
+ * (empty for a blank row) and last_claim_date as a Date or null.
+ */
+function normaliseRow(row) {
+    // Aadhaar_Linked — Excel boolean, SQLite 0/1, or string
+    const aadhaarRaw = pick(row, 'aadhaar_linked');
+    const aadhaarLinked =
+        aadhaarRaw === true || aadhaarRaw === 1 ||
+        ['true', '1'].includes(String(aadhaarRaw).trim().toLowerCase());
+
+    // Last_Claim_Date — JS Date (cellDates:true) or string
+    let lastClaimDate = null;
+    const d = pick(row, 'last_claim_date');
+    if (d) {
+        lastClaimDate = d instanceof Date ? d : new Date(d);
+        if (isNaN(lastClaimDate.getTime())) lastClaimDate = null;
+    }
+
+    return {
+        citizen_id: normaliseCitizenId(pick(row, 'citizen_id')),
+        account_status: String(pick(row, 'account_status') || '').trim(),
+        aadhaar_linked: aadhaarLinked,
+        scheme_eligibility: String(pick(row, 'scheme_eligibility') || '').trim(),
+        scheme_amount: parseFloat(pick(row, 'scheme_amount')) || 0,
+        claim_count: parseInt(pick(row, 'claim_count')) || 0,
+        last_claim_date: lastClaimDate,
+        income_tier: String(pick(row, 'income_tier') || '').trim(),
+        region_code: String(pick(row, 'region_code') || '').trim(),
+    };
+}
+
+/**
+ * Required fields missing from a source's columns (either naming).
+ * @param {string[]} columns
+ * @returns {string[]} spreadsheet names of the missing columns
+ */
+function missingColumns(columns) {
+    const have = new Set(columns.map(c => String(c).trim()));
+    return REQUIRED_FIELDS.filter(f => !have.has(f) && !have.has(COLUMNS[f])).map(f => COLUMNS[f]);
+}
+
+module.exports = { COLUMNS, FIELDS, REQUIRED_FIELDS, pick, normaliseRow, normaliseCitizenId, missingColumns };
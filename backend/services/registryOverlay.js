@@ -0,0 +1,113 @@
+/**
+ * registryOverlay.js — Claim History Overlay
+ *
+ * The registry spreadsheet is read-only, so payouts made by this gateway are
+ * kept in a small overlay file next to it (REGISTRY_OVERLAY_FILE, default
+ * data/registry_overlay.json), keyed by citizen hash:
+ *   { "version": 1, "updatedAt": …, "citizens": { "<hash>": { "payouts": [{ "ledgerHash", "at" }] } } }
+ *
+ * registry.lookup() merges it: claim_count = spreadsheet count + payouts,
+ * last_claim_date = the later of the spreadsheet date and the last payout.
+ * A REVERSAL removes its payout again.
+ *
+ * The ledger stays the source of truth. At startup the overlay is reconciled
+ * against it, so a crash between the ledger append and the overlay write
+ * cannot leave the two apart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./ledgerStoreFile');
+
+const OVERLAY_FILE = process.env.REGISTRY_OVERLAY_FILE || path.join(__dirname, '..', '..', 'data', 'registry_overlay.json');
+
+// citizenHash → [{ ledgerHash, at }]
+const payouts = new Map();
+
+/** Order-independent form of a payouts map, for comparison. */
+function serialise(map) {
+    return JSON.stringify([...map].sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function save() {
+    const citizens = {};
+    for (const [hash, list] of payouts) citizens[hash] = { payouts: list };
+    fs.mkdirSync(path.dirname(OVERLAY_FILE), { recursive: true });
+    writeFileAtomic(OVERLAY_FILE, JSON.stringify({ version: 1, updatedAt: new Date().toISOString(), citizens }, null, 2));
+}
+
+/** Read the overlay file. Called by registry.loadRegistry(). */
+function load() {
+    payouts.clear();
+    if (!fs.existsSync(OVERLAY_FILE)) return;
+    const doc = JSON.parse(fs.readFileSync(OVERLAY_FILE, 'utf-8'));
+    for (const [hash, { payouts: list }] of Object.entries(doc.citizens || {})) {
+        if (list && list.length) payouts.set(hash, list);
+    }
+    console.log(`[REGISTRY] ✓ Claim history overlay: ${payouts.size} citizen(s) from ${path.basename(OVERLAY_FILE)}.`);
+}
+
+/**
+ * Merge a citizen's overlay into their registry record.
+ * @returns {object} a copy of the record (the original is never changed)
+ */
+function apply(hash, record) {
+    const list = payouts.get(hash);
+    if (!list) return record;
+
+    const latest = new Date(list[list.length - 1].at);
+    const base = record.last_claim_date;
+    return {
+        ...record,
+        claim_count: record.claim_count + list.length,
+        last_claim_date: !base || latest > base ? latest : base,
+    };
+}
+
+/** Record an approved payout. */
+function recordPayout(citizenHash, ledgerHash, at) {
+    const list = payouts.get(citizenHash) || [];
+    list.push({ ledgerHash, at });
+    payouts.set(citizenHash, list);
+    save();
+}
+
+/** Remove a reversed payout. */
+function removePayout(citizenHash, ledgerHash) {
+    const list = (payouts.get(citizenHash) || []).filter(p => p.ledgerHash !== ledgerHash);
+    if (list.length) payouts.set(citizenHash, list);
+    else payouts.delete(citizenHash);
+    save();
+}
+
+/**
+ * Make the overlay match the ledger: every unreversed DISBURSE, nothing else.
+ * Called at startup after the ledger has passed its integrity check.
+ * @param {object[]} entries — ledger entries in order
+ */
+function reconcile(entries) {
+    const expected = new Map();
+    for (const entry of entries) {
+        if (entry.type === 'DISBURSE') {
+            expected.set(entry.currHash, { citizenHash: entry.citizenHash, at: entry.timestamp });
+        } else if (entry.type === 'REVERSAL') {
+            expected.delete(entry.ref);
+        }
+    }
+
+    const rebuilt = new Map();
+    for (const [ledgerHash, { citizenHash, at }] of expected) {
+        const list = rebuilt.get(citizenHash) || [];
+        list.push({ ledgerHash, at });
+        rebuilt.set(citizenHash, list);
+    }
+
+    if (serialise(rebuilt) === serialise(payouts)) return;
+
+    payouts.clear();
+    for (const [hash, list] of rebuilt) payouts.set(hash, list);
+    save();
+    console.warn(`[REGISTRY] ⚠ Claim history overlay was out of step with the ledger — rebuilt (${payouts.size} citizen(s)).`);
+}
+
+module.exports = { load, apply, recordPayout, removePayout, reconcile, OVERLAY_FILE };
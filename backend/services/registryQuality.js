@@ -0,0 +1,144 @@
+/**
+ * registryQuality.js — Registry Data-Quality Checks
+ *
+ * Normalisation (registryFormat.js) never fails: a blank Citizen_ID drops the
+ * row, a bad date becomes null, a bad amount becomes 0. inspect() reports
+ * every row where that hides a problem, by the source's row number:
+ *   missingId         — row has data but no Citizen_ID (dropped)
+ *   invalidId         — Citizen_ID is not exactly 12 digits
+ *   invalidChecksum   — 12-digit Citizen_ID fails its Verhoeff check digit;
+ *                       always counted, but its threshold only applies with
+ *                       CITIZEN_ID_CHECKSUM=verhoeff (off by default, see claimInput.js)
+ *   duplicateId       — Citizen_ID seen on an earlier row
+ *   unknownStatus     — Account_Status not in the configured statuses
+ *   nonPositiveAmount — Scheme_Amount missing, zero, negative or not a number
+ *   invalidDate       — Last_Claim_Date present but unreadable (read as never claimed)
+ *   futureDate        — Last_Claim_Date after the import
+ *   unknownScheme     — Scheme_Eligibility has no budget pool (state.js)
+ *
+ * Statuses, strict mode and per-rule thresholds (the most issues of a kind a
+ * strict import accepts) come from REGISTRY_QUALITY_FILE (default
+ * config/registry_quality.json); REGISTRY_STRICT=1 turns strict mode on.
+ * Used by registry.js on every load and reload, and by scripts/convert_registry.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const state = require('./state');
+const verhoeff = require('./verhoeff');
+const { CHECKSUM_MODE } = require('./claimInput');
+const { pick, normaliseRow } = require('./registryFormat');
+
+const QUALITY_FILE = process.env.REGISTRY_QUALITY_FILE || path.join(__dirname, '..', '..', 'config', 'registry_quality.json');
+
+const RULES = ['missingId', 'invalidId', 'invalidChecksum', 'duplicateId', 'unknownStatus', 'nonPositiveAmount', 'invalidDate', 'futureDate', 'unknownScheme'];
+
+/**
+ * Read and check the quality config. Throws with every problem found.
+ * @returns {{ statuses: string[], strict: boolean, thresholds: object }}
+ */
+function loadQualityConfig() {
+    const doc = JSON.parse(fs.readFileSync(QUALITY_FILE, 'utf-8'));
+    const problems = [];
+    if (!Array.isArray(doc.statuses) || !doc.statuses.length || !doc.statuses.every(s => typeof s === 'string' && s.trim())) {
+        problems.push('"statuses" must be a non-empty list of strings');
+    }
+    const thresholds = doc.thresholds || {};
+    for (const [rule, max] of Object.entries(thresholds)) {
+        if (!RULES.includes(rule)) problems.push(`unknown threshold "${rule}" (known: ${RULES.join(', ')})`);
+        else if (!Number.isInteger(max) || max < 0) problems.push(`threshold "${rule}" must be a non-negative whole number`);
+    }
+    if (problems.length) throw new Error(`${path.basename(QUALITY_FILE)}: ${problems.join('; ')}.`);
+
+    return {
+        statuses: doc.statuses,
+        strict: process.env.REGISTRY_STRICT === '1' || doc.strict === true,
+        thresholds,
+    };
+}
+
+function hasData(row) {
+    return Object.values(row).some(v => v !== null && v !== undefined && String(v).trim() !== '');
+}
+
+/**
+ * Check raw source rows.
+ * @param {object[]} rows
+ * @param {{ statuses: string[] }} config
+ * @param {{ firstRowNumber?: number, now?: Date }} [options]
+ * @returns {{ checked: number, counts: object, issues: Array<{ row: number, rule: string, message: string, firstRow?: number }> }}
+ */
+function inspect(rows, config, { firstRowNumber = 2, now = new Date() } = {}) {
+    const counts = Object.fromEntries(RULES.map(r => [r, 0]));
+    const issues = [];
+    const note = (row, rule, message, extra) => {
+        counts[rule] += 1;
+        issues.push({ row, rule, message, ...extra });
+    };
+
+    const firstSeen = new Map(); // citizen_id → row number
+    rows.forEach((raw, idx) => {
+        const row = idx + firstRowNumber;
+        const record = normaliseRow(raw);
+        if (!record.citizen_id) {
+            if (hasData(raw)) note(row, 'missingId', 'Citizen_ID is blank; the row is skipped.');
+            return;
+        }
+
+        if (!/^\d{12}$/.test(String(pick(raw, 'citizen_id')).trim())) {
+            note(row, 'invalidId', 'Citizen_ID is not exactly 12 digits.');
+        } else if (!verhoeff.isValid(record.citizen_id)) {
+            note(row, 'invalidChecksum', 'Citizen_ID fails its Verhoeff check digit.');
+        }
+        if (firstSeen.has(record.citizen_id)) {
+            note(row, 'duplicateId', `Citizen_ID already seen at row ${firstSeen.get(record.citizen_id)}.`, { firstRow: firstSeen.get(record.citizen_id) });
+        } else {
+            firstSeen.set(record.citizen_id, row);
+        }
+
+        if (!config.statuses.includes(record.account_status)) {
+            note(row, 'unknownStatus', `Unknown Account_Status "${record.account_status}".`);
+        }
+        if (!(parseFloat(pick(raw, 'scheme_amount')) > 0)) {
+            note(row, 'nonPositiveAmount', `Scheme_Amount "${pick(raw, 'scheme_amount') ?? ''}" is not a positive amount.`);
+        }
+
+        const rawDate = pick(raw, 'last_claim_date');
+        if (rawDate && !record.last_claim_date) {
+            note(row, 'invalidDate', `Last_Claim_Date "${rawDate}" is not a readable date; read as never claimed.`);
+        } else if (record.last_claim_date && record.last_claim_date > now) {
+            note(row, 'futureDate', `Last_Claim_Date ${record.last_claim_date.toISOString().slice(0, 10)} is in the future.`);
+        }
+
+        if (!state.getPool(record.scheme_eligibility)) {
+            note(row, 'unknownScheme', `Scheme_Eligibility "${record.scheme_eligibility}" has no budget pool.`);
+        }
+    });
+
+    return { checked: rows.length, counts, issues };
+}
+
+/**
+ * Strict-mode verdict: one message per rule over its threshold.
+ * Rules without a threshold are reported but never refuse an import, and
+ * neither does invalidChecksum while the check digit is off.
+ * @returns {string[]}
+ */
+function exceeded(report, thresholds) {
+    return Object.entries(thresholds)
+        .filter(([rule]) => rule !== 'invalidChecksum' || CHECKSUM_MODE === 'verhoeff')
+        .filter(([rule, max]) => report.counts[rule] > max)
+        .map(([rule, max]) => `${report.counts[rule]} ${rule} issue(s), threshold ${max}.`);
+}
+
+/** Counts only, for status endpoints and logs. */
+function summarise(report) {
+    return { checked: report.checked, issues: report.issues.length, counts: report.counts };
+}
+
+/** "invalidDate 12, futureDate 1" — the rules that found something. */
+function describeCounts(counts) {
+    return Object.entries(counts).filter(([, n]) => n).map(([rule, n]) => `${rule} ${n}`).join(', ');
+}
+
+module.exports = { RULES, QUALITY_FILE, loadQualityConfig, inspect, exceeded, summarise, describeCounts };
@@ -0,0 +1,99 @@
+/**
+ * registrySource.js — Registry Source Selection
+ *
+ * registry.js reads citizen rows through a source chosen by REGISTRY_SOURCE:
+ *   xlsx   (default) — jan_dhan_registry_advanced.xlsx, sheet REGISTRY_SHEET
+ *                      (default Jan_Dhan_Registry_Advanced)
+ *   json             — data/registry.json as written by scripts/convert_registry.js
+ *   csv              — data/registry.csv, first row is the header
+ *   sqlite           — data/registry.db, table REGISTRY_TABLE (default registry)
+ * REGISTRY_FILE overrides the default location of any of them.
+ *
+ * Source contract:
+ *   name, location   — for logs and GET /api/admin/registry
+ *   firstRowNumber   — how the source numbers its first data row (for reports)
+ *   readSync()       → { rows, columns }   (boot load)
+ *   read()           → Promise<{ rows, columns }>   (reloads; the file is read without blocking,
+ *                      and SQLite is queried in a worker thread, see registrySqlite.js)
+ * Rows are raw; registryFormat.normaliseRow() turns them into records. Columns
+ * may use spreadsheet names (Citizen_ID) or field names (citizen_id).
+ * Sources throw on unreadable input.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const { readTable, readTableInWorker } = require('./registrySqlite');
+
+const ROOT = path.join(__dirname, '..', '..');
+const DEFAULT_FILES = {
+    xlsx: path.join(ROOT, 'jan_dhan_registry_advanced.xlsx'),
+    json: path.join(ROOT, 'data', 'registry.json'),
+    csv: path.join(ROOT, 'data', 'registry.csv'),
+    sqlite: path.join(ROOT, 'data', 'registry.db'),
+};
+
+function sheetRows(ws, options) {
+    return {
+        rows: XLSX.utils.sheet_to_json(ws, options),
+        columns: (XLSX.utils.sheet_to_json(ws, { header: 1 })[0] || []).map(String),
+    };
+}
+
+/** Source over a whole file: parse(buffer) does the format-specific work. */
+function fileSource(name, file, firstRowNumber, parse) {
+    return {
+        name,
+        location: file,
+        firstRowNumber,
+        readSync: () => parse(fs.readFileSync(file)),
+        read: async () => parse(await fs.promises.readFile(file)),
+    };
+}
+
+function createXlsxSource(file, sheetName) {
+    return fileSource('xlsx', file, 2, (buffer) => {
+        const wb = XLSX.read(buffer, { type: 'buffer', cellDates: true });
+        const ws = wb.Sheets[sheetName];
+        if (!ws) throw new Error(`Sheet "${sheetName}" not found in Excel file.`);
+        return sheetRows(ws, { raw: true, cellDates: true });
+    });
+}
+
+function createCsvSource(file) {
+    return fileSource('csv', file, 2, (buffer) => {
+        // raw: keep every cell as text so Citizen IDs keep their leading zeros
+        const wb = XLSX.read(buffer.toString('utf-8'), { type: 'string', raw: true });
+        return sheetRows(wb.Sheets[wb.SheetNames[0]], { raw: true, defval: '' });
+    });
+}
+
+function createJsonSource(file) {
+    return fileSource('json', file, 1, (buffer) => {
+        const rows = JSON.parse(buffer.toString('utf-8'));
+        if (!Array.isArray(rows)) throw new Error(`${path.basename(file)} must hold a JSON array of records.`);
+        return { rows, columns: rows.length ? Object.keys(rows[0]) : [] };
+    });
+}
+
+function createSqliteSource(file, table) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(table)) throw new Error(`Invalid REGISTRY_TABLE "${table}".`);
+    return {
+        name: 'sqlite',
+        location: file,
+        firstRowNumber: 1,
+        readSync: () => readTable(file, table),
+        read: () => readTableInWorker(file, table),
+    };
+}
+
+function createRegistrySource(kind = process.env.REGISTRY_SOURCE || 'xlsx') {
+    const file = process.env.REGISTRY_FILE || DEFAULT_FILES[kind];
+    if (kind === 'xlsx') return createXlsxSource(file, process.env.REGISTRY_SHEET || 'Jan_Dhan_Registry_Advanced');
+    if (kind === 'json') return createJsonSource(file);
+    if (kind === 'csv') return createCsvSource(file);
+    if (kind === 'sqlite') return createSqliteSource(file, process.env.REGISTRY_TABLE || 'registry');
+    throw new Error(`Unknown REGISTRY_SOURCE "${kind}" (expected "xlsx", "json", "csv" or "sqlite").`);
+}
+
+module.exports = { createRegistrySource, DEFAULT_FILES };
@@ -0,0 +1,54 @@
+/**
+ * registrySqlite.js — SQLite Registry Reader
+ *
+ * better-sqlite3 only reads synchronously, so registrySource.js runs reloads
+ * of an SQLite registry through this module in a worker thread: the event
+ * loop keeps serving claims while the table is read, and the rows arrive as
+ * one message. The boot load calls readTable() directly.
+ */
+
+const path = require('path');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+/**
+ * Read every row of `table`, in rowid order.
+ * @param {string} file
+ * @param {string} table — already validated as a plain identifier
+ * @returns {{ rows: object[], columns: string[] }}
+ */
+function readTable(file, table) {
+    const Database = require('better-sqlite3');
+    const db = new Database(file, { readonly: true, fileMustExist: true });
+    try {
+        const columns = db.prepare(`PRAGMA table_info("${table}")`).all().map(c => c.name);
+        if (!columns.length) throw new Error(`Table "${table}" not found in ${path.basename(file)}.`);
+        return { rows: db.prepare(`SELECT * FROM "${table}" ORDER BY rowid`).all(), columns };
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * readTable() in a worker thread.
+ * @returns {Promise<{ rows: object[], columns: string[] }>}
+ */
+function readTableInWorker(file, table) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(__filename, { workerData: { file, table } });
+        worker.once('message', (msg) => (msg.error ? reject(new Error(msg.error)) : resolve(msg.result)));
+        worker.once('error', reject);
+        worker.once('exit', (code) => {
+            if (code !== 0) reject(new Error(`Registry reader exited with code ${code}.`));
+        });
+    });
+}
+
+if (!isMainThread && workerData && workerData.table) {
+    try {
+        parentPort.postMessage({ result: readTable(workerData.file, workerData.table) });
+    } catch (err) {
+        parentPort.postMessage({ error: err.message });
+    }
+}
+
+module.exports = { readTable, readTableInWorker };
@@ -0,0 +1,194 @@
+/**
+ * replayStore.js — Time-Windowed Replay Store
+ *
+ * The latest unreversed payout per citizen and scheme, for the Replay gate.
+ * How long a payout blocks the next claim is set per scheme by the replay
+ * gate's params in the rules file (gates.js); the store just remembers when
+ * and by which ledger entry each citizen was last paid.
+ *
+ * Persistence comes from the ledger: the store is rebuilt from it at startup
+ * (after the integrity check), so it survives restarts without a file of its
+ * own. The only extra state is the admin clear log, REPLAY_CLEARS_FILE
+ * (default data/replay_clears.jsonl) — one JSON line per cleared entry with
+ * its audit reason; cleared payouts are skipped on every rebuild.
+ *
+ * Memory is bounded two ways:
+ *   - prune() drops payouts whose window has passed (run hourly);
+ *   - above REPLAY_MAX_ENTRIES (default 500000) the oldest payouts are
+ *     evicted. A citizen not found in memory while evictions have happened is
+ *     looked up in the ledger's citizen index instead, so eviction never lets
+ *     a replay through.
+ * Entries are kept oldest payout first (Map insertion order).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ledger = require('./ledger');
+const { resolve } = require('./citizenHash');
+
+const CLEARS_FILE = process.env.REPLAY_CLEARS_FILE || path.join(__dirname, '..', '..', 'data', 'replay_clears.jsonl');
+const MAX_ENTRIES = parseInt(process.env.REPLAY_MAX_ENTRIES, 10) || 500000;
+
+// `${citizenHash}|${scheme}` → { paidAt: ms, ledgerHash }
+const active = new Map();
+// Ledger hashes of payouts cleared by an admin
+const cleared = new Set();
+// Latest paidAt evicted for space (0 = nothing evicted); older lookups go to the ledger
+let evictedThrough = 0;
+
+function keyOf(citizenHash, scheme) {
+    return `${citizenHash}|${String(scheme).trim().toLowerCase()}`;
+}
+
+function loadClears() {
+    cleared.clear();
+    if (!fs.existsSync(CLEARS_FILE)) return;
+    for (const line of fs.readFileSync(CLEARS_FILE, 'utf-8').split('\n')) {
+        if (line.trim()) cleared.add(JSON.parse(line).ledgerHash);
+    }
+}
+
+function put(citizenHash, scheme, ledgerHash, paidAt) {
+    const key = keyOf(citizenHash, scheme);
+    active.delete(key);
+    active.set(key, { paidAt, ledgerHash });
+    while (active.size > MAX_ENTRIES) {
+        const [oldest, payout] = active.entries().next().value;
+        active.delete(oldest);
+        evictedThrough = Math.max(evictedThrough, payout.paidAt);
+    }
+}
+
+/**
+ * Rebuild from ledger entries: every DISBURSE not reversed and not cleared.
+ * @param {object[]} entries — ledger entries in order
+ */
+function rebuild(entries) {
+    active.clear();
+    evictedThrough = 0;
+    loadClears();
+    for (const entry of entries) {
+        if (entry.type === 'DISBURSE' && !cleared.has(entry.currHash)) {
+            put(entry.citizenHash, entry.scheme, entry.currHash, Date.parse(entry.timestamp));
+        } else if (entry.type === 'REVERSAL') {
+            release(entry.citizenHash, entry.scheme, entry.ref);
+        }
+    }
+}
+
+/** Record a new payout. */
+function record(citizenHash, scheme, ledgerHash, timestamp) {
+    put(citizenHash, scheme, ledgerHash, Date.parse(timestamp));
+}
+
+/** Lift the block of a reversed payout (only if it is still the latest one). */
+function release(citizenHash, scheme, ledgerHash) {
+    const key = keyOf(citizenHash, scheme);
+    const payout = active.get(key);
+    if (payout && payout.ledgerHash === ledgerHash) active.delete(key);
+}
+
+/** Latest unreversed, uncleared payout from the ledger's citizen index. */
+function fromLedger(citizenHash, scheme) {
+    const wanted = String(scheme).trim().toLowerCase();
+    const { entries } = ledger.queryEntries({ citizenHash, scheme: wanted, order: 'desc', limit: 500 });
+    const reversed = new Set(entries.filter(e => e.type === 'REVERSAL').map(e => e.ref));
+    const payout = entries.find(e => e.type === 'DISBURSE' && !reversed.has(e.currHash) && !cleared.has(e.currHash));
+    return payout ? { paidAt: Date.parse(payout.timestamp), ledgerHash: payout.currHash } : null;
+}
+
+/**
+ * When and by which entry a citizen was last paid under a scheme.
+ * @returns {{ paidAt: string, ledgerHash: string } | null}
+ */
+function lastPayout(citizenHash, scheme) {
+    let payout = active.get(keyOf(citizenHash, scheme)) || null;
+    if (!payout && evictedThrough) {
+        const found = fromLedger(citizenHash, scheme);
+        if (found && found.paidAt <= evictedThrough) payout = found;
+    }
+    return payout ? { paidAt: new Date(payout.paidAt).toISOString(), ledgerHash: payout.ledgerHash } : null;
+}
+
+/**
+ * Drop payouts whose replay window has passed.
+ * @param {(scheme: string) => number} windowDays — 0 means the payout blocks forever
+ * @returns {number} entries removed
+ */
+function prune(windowDays, now = Date.now()) {
+    let removed = 0;
+    for (const [key, payout] of active) {
+        const days = windowDays(key.slice(key.indexOf('|') + 1));
+        if (days > 0 && now - payout.paidAt >= days * 24 * 60 * 60 * 1000) {
+            active.delete(key);
+            removed += 1;
+        }
+    }
+    return removed;
+}
+
+/**
+ * Clear a citizen's replay entry so they may claim again, with an audit line.
+ * @param {{ citizenHash: string, scheme: string, reason: string, operator: string }} param
+ */
+function clear({ citizenHash, scheme, reason, operator }) {
+    const why = String(reason || '').trim();
+    const who = String(operator || '').trim();
+    if (!why) return { success: false, error: 'A reason is required to clear a replay entry.' };
+    if (!who) return { success: false, error: 'Operator identity is required to clear a replay entry.' };
+
+    const payout = lastPayout(citizenHash, scheme);
+    if (!payout) return { success: false, error: 'No replay entry for this citizen and scheme.' };
+
+    const audit = {
+        clearedAt: new Date().toISOString(),
+        citizenHash,
+        scheme: String(scheme).trim().toLowerCase(),
+        ledgerHash: payout.ledgerHash,
+        paidAt: payout.paidAt,
+        operator: who,
+        reason: why,
+    };
+    fs.mkdirSync(path.dirname(CLEARS_FILE), { recursive: true });
+    fs.appendFileSync(CLEARS_FILE, JSON.stringify(audit) + '\n', 'utf-8');
+    cleared.add(payout.ledgerHash);
+    active.delete(keyOf(citizenHash, scheme));
+
+    console.log(`[REPLAY] ✓ Cleared replay entry ${payout.ledgerHash.slice(0, 16)}... by ${who}`);
+    return { success: true, cleared: audit };
+}
+
+/**
+ * Everything held for one citizen, all schemes.
+ * @returns {Array<{ scheme: string, paidAt: string, ledgerHash: string }>}
+ */
+function entriesFor(citizenHash) {
+    const prefix = `${citizenHash}|`;
+    const found = [];
+    for (const [key, payout] of active) {
+        if (key.startsWith(prefix)) {
+            found.push({ scheme: key.slice(prefix.length), paidAt: new Date(payout.paidAt).toISOString(), ledgerHash: payout.ledgerHash });
+        }
+    }
+    return found;
+}
+
+/** Audit lines for clears of one citizen's entries (under any of their hashes). */
+function clearsFor(citizenHash) {
+    if (!fs.existsSync(CLEARS_FILE)) return [];
+    return fs.readFileSync(CLEARS_FILE, 'utf-8').split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line))
+        .filter(c => resolve(c.citizenHash) === citizenHash);
+}
+
+function getStats() {
+    return {
+        entries: active.size,
+        maxEntries: MAX_ENTRIES,
+        evictedThrough: evictedThrough ? new Date(evictedThrough).toISOString() : null,
+        cleared: cleared.size,
+    };
+}
+
+module.exports = { rebuild, record, release, lastPayout, prune, clear, entriesFor, clearsFor, getStats };
@@ -0,0 +1,139 @@
+/**
+ * reviewQueue.js — Manual Review Queue
+ *
+ * Claims a gate refers for manual review (e.g. over the annual claim limit)
+ * are kept here instead of being dropped, in REVIEW_QUEUE_FILE (default
+ * data/review_queue.json). Each item is keyed by a random id and holds the
+ * citizen hash — never the raw ID (hashes from before a pepper rotation are
+ * mapped to the current one on load):
+ *   { id, status: 'pending' | 'approved' | 'denied', citizenHash, scheme, gate, reason,
+ *     ruleVersion, submittedAt, decision: { reviewer, comment, decidedAt } | null,
+ *     payout: { amount, ledgerHash, timestamp } | null }
+ *
+ * A citizen has at most one pending item per scheme; a repeat referral
+ * returns the existing one. Approval is done by validator.approveReview(),
+ * which re-runs the gates and pays through the normal budget and ledger path.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./ledgerStoreFile');
+const { resolve } = require('./citizenHash');
+
+const QUEUE_FILE = process.env.REVIEW_QUEUE_FILE || path.join(__dirname, '..', '..', 'data', 'review_queue.json');
+const STATUSES = ['pending', 'approved', 'denied'];
+
+// id → item, in submission order
+const items = new Map();
+let loaded = false;
+
+function load() {
+    items.clear();
+    if (fs.existsSync(QUEUE_FILE)) {
+        const doc = JSON.parse(fs.readFileSync(QUEUE_FILE, 'utf-8'));
+        for (const item of doc.items || []) items.set(item.id, { ...item, citizenHash: resolve(item.citizenHash) });
+    }
+    loaded = true;
+}
+
+function save() {
+    fs.mkdirSync(path.dirname(QUEUE_FILE), { recursive: true });
+    writeFileAtomic(QUEUE_FILE, JSON.stringify({ version: 1, items: [...items.values()] }, null, 2));
+}
+
+function ensureLoaded() {
+    if (!loaded) load();
+}
+
+/**
+ * Queue a referred claim.
+ * @param {{ citizenHash: string, scheme: string, gate: string, reason: string, ruleVersion: string }} claim
+ * @returns {{ id: string, existing: boolean }}
+ */
+function refer({ citizenHash, scheme, gate, reason, ruleVersion }) {
+    ensureLoaded();
+    const key = scheme.toLowerCase();
+    for (const item of items.values()) {
+        if (item.status === 'pending' && item.citizenHash === citizenHash && item.scheme.toLowerCase() === key) {
+            return { id: item.id, existing: true };
+        }
+    }
+
+    const id = crypto.randomUUID();
+    items.set(id, {
+        id,
+        status: 'pending',
+        citizenHash,
+        scheme,
+        gate,
+        reason,
+        ruleVersion,
+        submittedAt: new Date().toISOString(),
+        decision: null,
+        payout: null,
+    });
+    save();
+    console.log(`[REVIEW] ✓ Claim referred for manual review (${id.slice(0, 8)}) | Scheme: ${scheme}`);
+    return { id, existing: false };
+}
+
+/**
+ * Queue items, oldest first.
+ * @param {{ status?: string }} [filter]
+ */
+function list({ status } = {}) {
+    ensureLoaded();
+    const all = [...items.values()];
+    return status ? all.filter(i => i.status === status) : all;
+}
+
+function get(id) {
+    ensureLoaded();
+    return items.get(id) || null;
+}
+
+/** Check reviewer and comment; both are mandatory for a decision. */
+function checkDecision({ reviewer, comment }) {
+    const who = String(reviewer || '').trim();
+    const text = String(comment || '').trim();
+    if (!who) return { error: 'Reviewer identity is required.' };
+    if (!text) return { error: 'A comment is required for every review decision.' };
+    return { reviewer: who, comment: text };
+}
+
+/**
+ * Find a pending item and validate the decision on it.
+ * @returns {{ item: object, reviewer: string, comment: string } | { error: string }}
+ */
+function open(id, decision) {
+    const checked = checkDecision(decision);
+    if (checked.error) return checked;
+    const item = get(id);
+    if (!item) return { error: 'No review with this id.' };
+    if (item.status !== 'pending') return { error: `This review has already been ${item.status}.` };
+    return { item, ...checked };
+}
+
+/** Record a decision on a pending item and persist the queue. */
+function close(item, status, { reviewer, comment }, payout = null) {
+    item.status = status;
+    item.decision = { reviewer, comment, decidedAt: new Date().toISOString() };
+    item.payout = payout;
+    save();
+    console.log(`[REVIEW] ✓ ${item.id.slice(0, 8)} ${status} by ${reviewer}`);
+    return item;
+}
+
+/**
+ * Deny a pending review. Nothing is paid.
+ * @param {string} id
+ * @param {{ reviewer: string, comment: string }} decision
+ */
+function deny(id, decision) {
+    const found = open(id, decision);
+    if (found.error) return { success: false, error: found.error };
+    return { success: true, review: close(found.item, 'denied', found) };
+}
+
+module.exports = { refer, list, get, open, close, deny, STATUSES };
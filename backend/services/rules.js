@@ -0,0 +1,196 @@
+/**
+ * rules.js — Versioned Validation Rules
+ *
+ * The gate pipeline is defined in a JSON rules file (RULES_FILE, default
+ * config/rules.json) instead of in code:
+ *   {
+ *     "version": "2026.1",
+ *     "gates": [
+ *       { "id": "eligibility", "type": "eligibility", "name": "Eligibility",
+ *         "params": { "maxClaimCount": 3, … },
+ *         "messages": { "claimLimit": "Annual claim limit exceeded (Count: {count} / Max: {max}).", … } },
+ *       …
+ *     ]
+ *   }
+ * Gates run in file order. Gate types, their parameters and the placeholders
+ * each message may use are defined in gates.js.
+ *
+ * The file is validated in full before it is used: at startup an invalid file
+ * stops the server; on reload it is rejected and the current rules stay live.
+ * Every approval records the version that was applied (ledger ext.ruleVersion).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { GATE_TYPES } = require('./gates');
+
+const RULES_FILE = process.env.RULES_FILE || path.join(__dirname, '..', '..', 'config', 'rules.json');
+
+// Rules currently in force: { version, description, gates, loadedAt, file }
+let current = null;
+
+// ─── Validation ─────────────────────────────────────────────────────────────
+
+function checkParam(value, spec) {
+    if (Array.isArray(spec)) return spec.includes(value) ? null : `must be one of ${spec.join(', ')}`;
+    if (spec === 'number') return Number.isFinite(value) && value >= 0 ? null : 'must be a non-negative number';
+    if (spec === 'boolean') return typeof value === 'boolean' ? null : 'must be true or false';
+    if (spec === 'string[]') {
+        return Array.isArray(value) && value.length && value.every(v => typeof v === 'string' && v.trim())
+            ? null : 'must be a non-empty list of strings';
+    }
+    if (spec === 'object') return value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+    return `has unsupported spec ${JSON.stringify(spec)}`;
+}
+
+/**
+ * Check a parsed rules document against the gate types.
+ * @param {object} doc
+ * @returns {string[]} every problem found (empty if valid)
+ */
+function validateRules(doc) {
+    const errors = [];
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return ['Rules file must contain a JSON object.'];
+
+    if (typeof doc.version !== 'string' || !doc.version.trim()) {
+        errors.push('"version" must be a non-empty string.');
+    }
+    if (!Array.isArray(doc.gates) || doc.gates.length === 0) {
+        errors.push('"gates" must be a non-empty array.');
+        return errors;
+    }
+
+    const ids = new Set();
+    const seenTypes = new Set();
+
+    doc.gates.forEach((gate, i) => {
+        const where = `gates[${i}]${gate && gate.id ? ` (${gate.id})` : ''}`;
+        if (!gate || typeof gate !== 'object') {
+            errors.push(`${where}: must be an object.`);
+            return;
+        }
+
+        if (typeof gate.id !== 'string' || !gate.id.trim()) errors.push(`${where}: "id" is required.`);
+        else if (ids.has(gate.id)) errors.push(`${where}: duplicate id "${gate.id}".`);
+        ids.add(gate.id);
+
+        if (typeof gate.name !== 'string' || !gate.name.trim()) errors.push(`${where}: "name" is required.`);
+
+        const type = GATE_TYPES[gate.type];
+        if (!type) {
+            errors.push(`${where}: unknown gate type "${gate.type}" (known: ${Object.keys(GATE_TYPES).join(', ')}).`);
+            return;
+        }
+
+        for (const needed of type.requires) {
+            if (!seenTypes.has(needed)) errors.push(`${where}: a "${needed}" gate must come before "${gate.type}".`);
+        }
+        for (const later of type.precedes || []) {
+            if (seenTypes.has(later)) errors.push(`${where}: "${gate.type}" must come before any "${later}" gate.`);
+        }
+        seenTypes.add(gate.type);
+
+        const params = gate.params || {};
+        let paramsOk = true;
+        for (const [name, spec] of Object.entries(type.params)) {
+            const problem = name in params ? checkParam(params[name], spec) : null;
+            if (!(name in params)) errors.push(`${where}: missing param "${name}".`);
+            else if (problem) errors.push(`${where}: param "${name}" ${problem}.`);
+            if (!(name in params) || problem) paramsOk = false;
+        }
+        for (const name of Object.keys(params)) {
+            if (!(name in type.params)) errors.push(`${where}: unknown param "${name}".`);
+        }
+        if (paramsOk && type.validate) {
+            type.validate(params).forEach(problem => errors.push(`${where}: ${problem}`));
+        }
+
+        const messages = gate.messages || {};
+        for (const [key, placeholders] of Object.entries(type.messages)) {
+            if (typeof messages[key] !== 'string' || !messages[key].trim()) {
+                errors.push(`${where}: missing message "${key}".`);
+                continue;
+            }
+            for (const [, name] of messages[key].matchAll(/\{(\w+)\}/g)) {
+                if (!placeholders.includes(name)) {
+                    errors.push(`${where}: message "${key}" uses unknown placeholder {${name}}` +
+                        (placeholders.length ? ` (allowed: ${placeholders.join(', ')}).` : ' (none allowed).'));
+                }
+            }
+        }
+        for (const key of Object.keys(messages)) {
+            if (!(key in type.messages)) errors.push(`${where}: unknown message "${key}".`);
+        }
+    });
+
+    // Safety gates can be reordered or reworded, never dropped
+    for (const type of ['systemStatus', 'replay', 'budget']) {
+        if (!seenTypes.has(type)) errors.push(`A "${type}" gate is required.`);
+    }
+
+    return errors;
+}
+
+// ─── Loading ────────────────────────────────────────────────────────────────
+
+/**
+ * Read and validate the rules file without activating it.
+ * @returns {{ rules?: object, errors?: string[] }}
+ */
+function readRules() {
+    let doc;
+    try {
+        doc = JSON.parse(fs.readFileSync(RULES_FILE, 'utf-8'));
+    } catch (err) {
+        return { errors: [`Cannot read ${RULES_FILE}: ${err.message}`] };
+    }
+
+    const errors = validateRules(doc);
+    if (errors.length) return { errors };
+
+    return {
+        rules: {
+            version: doc.version.trim(),
+            description: doc.description || '',
+            gates: doc.gates.map(g => ({ id: g.id, type: g.type, name: g.name, params: g.params || {}, messages: g.messages })),
+            loadedAt: new Date().toISOString(),
+            file: RULES_FILE,
+        },
+    };
+}
+
+/** Load the rules at server startup. An invalid file stops the server. */
+function loadRules() {
+    const { rules, errors } = readRules();
+    if (errors) {
+        console.error(`[RULES] ✗ Invalid rules file ${RULES_FILE}:`);
+        errors.forEach(e => console.error(`    - ${e}`));
+        process.exit(1);
+    }
+    current = rules;
+    console.log(`[RULES] ✓ Loaded rules v${rules.version} (${rules.gates.map(g => g.name).join(' → ')}).`);
+}
+
+/**
+ * Re-read the rules file. On any error the current rules stay in force.
+ * @returns {{ success: true, version: string, previousVersion: string } | { success: false, errors: string[] }}
+ */
+function reloadRules() {
+    const { rules, errors } = readRules();
+    if (errors) {
+        console.error(`[RULES] ✗ Reload rejected — keeping v${current.version}. ${errors.length} error(s).`);
+        return { success: false, errors };
+    }
+    const previousVersion = current ? current.version : null;
+    current = rules;
+    console.log(`[RULES] ✓ Reloaded rules v${previousVersion} → v${rules.version}.`);
+    return { success: true, version: rules.version, previousVersion };
+}
+
+/** Rules currently in force. */
+function getRules() {
+    if (!current) loadRules();
+    return current;
+}
+
+module.exports = { loadRules, reloadRules, getRules, validateRules };
@@ -0,0 +1,181 @@
+/**
+ * signer.js — Ed25519 Ledger Signing Keys
+ *
+ * Every ledger entry is signed by the server's active Ed25519 key, so
+ * rewriting the file and recomputing the hash chain is no longer enough to
+ * pass verification — the attacker would also need the private key.
+ *
+ * Keys live OUTSIDE the data directory (LEDGER_KEY_DIR, default ./keys):
+ *   ledger_keys.json — keyring: public keys, genesis key, legacy prefix
+ *   <keyId>.key      — PKCS#8 PEM private key (mode 0600)
+ *
+ * KeyId = first 16 hex chars of SHA256(SPKI DER public key).
+ * Which key is active is not stored here: it is derived from the ledger by
+ * following KEY_ROTATION events from the genesis key.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const KEY_DIR = process.env.LEDGER_KEY_DIR || path.join(__dirname, '..', '..', 'keys');
+const KEYRING_FILE = path.join(KEY_DIR, 'ledger_keys.json');
+
+let keyring = null;
+const privateKeys = new Map(); // keyId → KeyObject (loaded lazily)
+const publicKeys = new Map();  // keyId → KeyObject
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function keyIdOf(spkiDer) {
+    return crypto.createHash('sha256').update(spkiDer).digest('hex').slice(0, 16);
+}
+
+function saveKeyring() {
+    fs.mkdirSync(KEY_DIR, { recursive: true });
+    fs.writeFileSync(KEYRING_FILE, JSON.stringify(keyring, null, 2), 'utf-8');
+}
+
+/** Generate a key pair, persist the private half, return its public record. */
+function generateKey() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const spkiDer = publicKey.export({ type: 'spki', format: 'der' });
+    const keyId = keyIdOf(spkiDer);
+
+    fs.mkdirSync(KEY_DIR, { recursive: true });
+    fs.writeFileSync(
+        path.join(KEY_DIR, `${keyId}.key`),
+        privateKey.export({ type: 'pkcs8', format: 'pem' }),
+        { encoding: 'utf-8', mode: 0o600 }
+    );
+    privateKeys.set(keyId, privateKey);
+
+    return { keyId, publicKey: spkiDer.toString('base64'), createdAt: new Date().toISOString() };
+}
+
+function getPublicKeyObject(keyId) {
+    if (publicKeys.has(keyId)) return publicKeys.get(keyId);
+    const record = keyring && keyring.keys[keyId];
+    if (!record) return null;
+    const key = crypto.createPublicKey({
+        key: Buffer.from(record.publicKey, 'base64'),
+        format: 'der',
+        type: 'spki',
+    });
+    publicKeys.set(keyId, key);
+    return key;
+}
+
+function getPrivateKeyObject(keyId) {
+    if (privateKeys.has(keyId)) return privateKeys.get(keyId);
+    const file = path.join(KEY_DIR, `${keyId}.key`);
+    if (!fs.existsSync(file)) throw new Error(`Private key for ${keyId} not found in ${KEY_DIR}.`);
+    const key = crypto.createPrivateKey(fs.readFileSync(file, 'utf-8'));
+    privateKeys.set(keyId, key);
+    return key;
+}
+
+// ─── Public API ─────────────────────────────────────────────────────────────
+
+/** Load the keyring from disk. Returns it, or null if none exists yet. */
+function loadKeyring() {
+    if (!fs.existsSync(KEYRING_FILE)) {
+        keyring = null;
+        return null;
+    }
+    keyring = JSON.parse(fs.readFileSync(KEYRING_FILE, 'utf-8'));
+    publicKeys.clear();
+    return keyring;
+}
+
+function getKeyring() {
+    return keyring;
+}
+
+/**
+ * Create the keyring and genesis key. Any unsigned entries already in the
+ * ledger are pinned as a legacy prefix (line count + chain head), so they
+ * stay valid but no further unsigned entries are accepted.
+ * @param {{ legacyLines: number, legacyHead: string }} legacy
+ */
+function createKeyring({ legacyLines, legacyHead }) {
+    const genesis = generateKey();
+    keyring = {
+        genesisKeyId: genesis.keyId,
+        legacy: { lines: legacyLines, head: legacyHead },
+        keys: { [genesis.keyId]: { publicKey: genesis.publicKey, createdAt: genesis.createdAt } },
+    };
+    saveKeyring();
+    console.log(`[SIGNER] ✓ Created ledger signing key ${genesis.keyId}.`);
+    return keyring;
+}
+
+/**
+ * Re-pin the legacy (unsigned) prefix, e.g. after a migration has re-signed
+ * every line and the prefix no longer exists.
+ * @param {{ lines: number, head: string }} legacy
+ */
+function setLegacy({ lines, head }) {
+    if (!keyring) throw new Error('Keyring not initialised.');
+    keyring.legacy = { lines, head };
+    saveKeyring();
+}
+
+/** Generate a new key and add its public half to the keyring. */
+function addKey() {
+    if (!keyring) throw new Error('Keyring not initialised.');
+    const key = generateKey();
+    keyring.keys[key.keyId] = { publicKey: key.publicKey, createdAt: key.createdAt };
+    saveKeyring();
+    return key;
+}
+
+/**
+ * Sign a ledger CurrentHash.
+ * @returns {string} base64 signature
+ */
+function sign(keyId, currentHash) {
+    return crypto.sign(null, Buffer.from(currentHash, 'hex'), getPrivateKeyObject(keyId)).toString('base64');
+}
+
+/** Verify a base64 signature over a ledger CurrentHash. */
+function verify(keyId, currentHash, signature) {
+    const key = getPublicKeyObject(keyId);
+    if (!key) return false;
+    try {
+        return crypto.verify(null, Buffer.from(currentHash, 'hex'), key, Buffer.from(signature, 'base64'));
+    } catch {
+        return false;
+    }
+}
+
+/** Public key record (base64 SPKI DER) for a key id, or null. */
+function getPublicKey(keyId) {
+    const record = keyring && keyring.keys[keyId];
+    return record ? { keyId, ...record } : null;
+}
+
+/** All known public keys, with PEM for convenience. */
+function listPublicKeys() {
+    if (!keyring) return [];
+    return Object.entries(keyring.keys).map(([keyId, record]) => ({
+        keyId,
+        algorithm: 'Ed25519',
+        publicKey: record.publicKey,
+        pem: getPublicKeyObject(keyId).export({ type: 'spki', format: 'pem' }),
+        createdAt: record.createdAt,
+    }));
+}
+
+module.exports = {
+    loadKeyring,
+    getKeyring,
+    createKeyring,
+    setLegacy,
+    addKey,
+    sign,
+    verify,
+    getPublicKey,
+    listPublicKeys,
+    keyIdOf,
+};
@@ -1,20 +1,75 @@
 /**
  * state.js — System State Singleton
- * Manages system status (active/paused/frozen), budget, and transaction count.
- * Node.js is single-threaded so no locking needed.
+ * Manages system status (active/paused/frozen), per-scheme budget pools, and
+ * transaction count. Node.js is single-threaded so no locking needed.
+ *
+ * Every scheme draws from its own pool. An exhausted pool blocks only its
+ * scheme ('block'), unless it is configured to freeze the whole system
+ * ('freeze'). The system still freezes once every pool is empty.
  */
 
-const INITIAL_BUDGET = 1000000; // ₹10,00,000
+// Initial allocation and exhaustion behaviour per scheme (total ₹10,00,000)
+const POOL_CONFIG = {
+  Food: { initial: 250000, onExhausted: 'block' },
+  Health: { initial: 450000, onExhausted: 'block' },
+  Pension: { initial: 300000, onExhausted: 'block' },
+};
+
+const INITIAL_BUDGET = Object.values(POOL_CONFIG).reduce((sum, p) => sum + p.initial, 0);
 
 const _state = {
   status: 'active',        // 'active' | 'paused' | 'frozen'
-  budget: INITIAL_BUDGET,
   transactionCount: 0,
-  initialBudget: INITIAL_BUDGET,
+  pools: freshPools(),     // scheme → { initial, remaining, onExhausted }
 };
 
+function freshPools() {
+  const pools = {};
+  for (const [scheme, { initial, onExhausted }] of Object.entries(POOL_CONFIG)) {
+    pools[scheme] = { initial, remaining: initial, onExhausted };
+  }
+  return pools;
+}
+
+/** Configured pool name for a scheme in any casing, or null if it has none. */
+function poolName(scheme) {
+  const wanted = String(scheme || '').trim().toLowerCase();
+  return Object.keys(_state.pools).find(k => k.toLowerCase() === wanted) || null;
+}
+
+function totalRemaining() {
+  return Object.values(_state.pools).reduce((sum, p) => sum + p.remaining, 0);
+}
+
+function poolView(scheme, pool) {
+  return {
+    scheme,
+    initial: pool.initial,
+    remaining: pool.remaining,
+    spent: pool.initial - pool.remaining,
+    exhausted: pool.remaining <= 0,
+    onExhausted: pool.onExhausted,
+  };
+}
+
+/**
+ * Snapshot of the system state. `budget` / `initialBudget` are totals over
+ * all pools; `pools` has one entry per scheme.
+ */
 function getState() {
-  return { ..._state };
+  return {
+    status: _state.status,
+    budget: totalRemaining(),
+    initialBudget: INITIAL_BUDGET,
+    transactionCount: _state.transactionCount,
+    pools: Object.fromEntries(Object.entries(_state.pools).map(([scheme, pool]) => [scheme, poolView(scheme, pool)])),
+  };
+}
+
+/** One scheme's pool (see getState), or null if the scheme has none. */
+function getPool(scheme) {
+  const name = poolName(scheme);
+  return name ? poolView(name, _state.pools[name]) : null;
 }
 
 /** Pause the system (admin action). Only works if currently active. */
@@ -39,15 +94,57 @@ function freeze() {
   console.error('[STATE] ⚠ SYSTEM FROZEN — Security or budget event detected.');
 }
 
+/** Apply a pool's exhaustion behaviour; freeze once every pool is empty. */
+function checkExhausted(scheme, pool) {
+  if (pool.remaining > 0) return;
+  pool.remaining = 0;
+  console.warn(`[STATE] ⚠ ${scheme} budget pool exhausted — ${scheme} claims blocked.`);
+  if (pool.onExhausted === 'freeze' || totalRemaining() <= 0) freeze();
+}
+
 /**
- * Deduct amount from budget. Auto-freezes if budget hits zero.
+ * Deduct amount from a scheme's pool.
  * @param {number} amount
+ * @param {string} scheme
  */
-function deduct(amount) {
-  _state.budget -= amount;
-  if (_state.budget <= 0) {
-    _state.budget = 0;
-    freeze();
+function deduct(amount, scheme) {
+  const name = poolName(scheme);
+  if (!name) throw new Error(`No budget pool for scheme "${scheme}".`);
+  _state.pools[name].remaining -= amount;
+  checkExhausted(name, _state.pools[name]);
+}
+
+/**
+ * Return amount to a scheme's pool (reversal or downward adjustment).
+ * Re-opens an exhausted pool. Does not unfreeze — a frozen system still
+ * needs an admin restart.
+ * @param {number} amount
+ * @param {string} scheme
+ */
+function credit(amount, scheme) {
+  const name = poolName(scheme);
+  if (!name) throw new Error(`No budget pool for scheme "${scheme}".`);
+  _state.pools[name].remaining += amount;
+}
+
+/**
+ * Restore pools and transaction count from a replayed ledger.
+ * Called once at startup, before any claim is processed.
+ * @param {{ spentByScheme: Object<string, number>, transactionCount: number }} totals
+ */
+function restore({ spentByScheme, transactionCount }) {
+  _state.pools = freshPools();
+  _state.transactionCount = transactionCount;
+  for (const [scheme, spent] of Object.entries(spentByScheme)) {
+    const name = poolName(scheme);
+    if (!name) {
+      console.warn(`[STATE] ⚠ Ledger has ₹${spent} for "${scheme}", which has no budget pool.`);
+      continue;
+    }
+    _state.pools[name].remaining -= spent;
+  }
+  for (const [scheme, pool] of Object.entries(_state.pools)) {
+    if (pool.remaining <= 0) checkExhausted(scheme, pool);
   }
 }
 
@@ -56,4 +153,4 @@ function incrTx() {
   _state.transactionCount += 1;
 }
 
-module.exports = { getState, pause, resume, freeze, deduct, incrTx };
+module.exports = { getState, getPool, pause, resume, freeze, deduct, credit, restore, incrTx };
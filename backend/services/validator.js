@@ -1,155 +1,309 @@
 /**
- * validator.js — 5-Gate Sequential Validation Engine
+ * validator.js — Sequential Validation Engine
  *
- * Gates (in strict order):
+ * Gates, their order, thresholds and messages come from the rules file
+ * (config/rules.json, see rules.js). The baseline rules are:
  *  Gate 1 — System Status  : System must be 'active'
- *  Gate 2 — Replay Block   : Citizen hash must not be in session processed set
+ *  Gate 2 — Replay Block   : No payout to this citizen under this scheme within its replay window
  *  Gate 3 — Eligibility    : Active account, Aadhaar linked, scheme match, claim_count ≤ 3
- *  Gate 4 — Budget         : Sufficient budget available; deduct on pass
- *  Gate 5 — Frequency      : Last claim must be > 30 days ago
+ *  Gate 4 — Entitlement    : Income tier and claim count give a payout (see entitlements.js)
+ *  Gate 5 — Budget         : Sufficient budget left in the scheme's pool
+ *  Gate 6 — Regional Quota : Region stays within its cap and daily limit
+ *  Gate 7 — Frequency      : Last claim must be > 30 days ago
  *
- * On approval: deducts budget, increments tx count, records hash, writes to ledger.
+ * Without an entitlement gate the payout is the registry's scheme_amount.
+ *
+ * On approval: writes to ledger with the rule version, region and entitlement
+ * breakdown that were applied, then deducts budget, increments tx count,
+ * records the payout in the replay store (replayStore.js) and regional spend,
+ * and adds it to the citizen's claim history (registryOverlay.js) so Gates 3
+ * and 7 see it. A failed append (lock, storage error) throws before any state
+ * has changed.
+ *
+ * Claims over the claim limit are queued for manual review (reviewQueue.js);
+ * a reviewer's approval goes through the same payout path.
  */
 
 const state = require('./state');
 const registry = require('./registry');
 const ledger = require('./ledger');
+const quotas = require('./quotas');
+const overlay = require('./registryOverlay');
+const reviewQueue = require('./reviewQueue');
+const idempotency = require('./idempotency');
+const replayStore = require('./replayStore');
+const { getRules } = require('./rules');
+const { GATE_TYPES, render, replayWindowDays } = require('./gates');
+const entitlements = require('./entitlements');
 
-// In-memory set of citizen hashes processed in this server session.
-// Prevents replay of the exact same Citizen_ID within a session.
-const processedHashes = new Set();
+// How often expired replay entries are dropped from memory
+const REPLAY_PRUNE_MS = 60 * 60 * 1000;
+let pruneTimer = null;
 
 /**
- * Main validation entry point.
- * @param {{ citizenId: string, scheme: string }} param
- * @returns {{ approved: boolean, reason: string, amount?: number, timestamp?: string }}
+ * Rebuild budget pools, transaction count, regional spend and the replay
+ * store from ledger entries, and bring the claim history overlay and
+ * idempotency keys in line with them. Called once at startup after the
+ * ledger has passed its integrity check.
+ * @param {Array<{ type: string, citizenHash: string, amount: number }>} entries
  */
-function validate({ citizenId, scheme }) {
-    // Hash immediately — raw ID never touches any further logic
-    const citizenHash = registry.hashCitizenId(citizenId);
-
-    // ── Gate 1: System Status ──────────────────────────────────────────────────
-    const { status, budget } = state.getState();
-    if (status === 'frozen') {
-        return {
-            approved: false,
-            gate: 'System',
-            reason: 'System is FROZEN due to a security or budget event. All transactions are blocked.',
-        };
-    }
-    if (status === 'paused') {
-        return {
-            approved: false,
-            gate: 'System',
-            reason: 'System is PAUSED by administrator. No transactions are being processed.',
-        };
+function restoreFromLedger(entries) {
+    const spentByScheme = {};
+    let spent = 0;
+    let transactionCount = 0;
+    for (const entry of entries) {
+        const delta = ledger.budgetDelta(entry);
+        const key = entry.scheme.toLowerCase();
+        spentByScheme[key] = (spentByScheme[key] || 0) + delta;
+        spent += delta;
+        if (entry.type === 'DISBURSE') transactionCount += 1;
     }
+    state.restore({ spentByScheme, transactionCount });
+    quotas.restore(entries, ledger.budgetDelta);
+    overlay.reconcile(entries);
+    idempotency.restore(entries, approvalFromEntry);
+    replayStore.rebuild(entries);
+    pruneReplay();
+    if (!pruneTimer) pruneTimer = setInterval(pruneReplay, REPLAY_PRUNE_MS).unref();
+    console.log(`[VALIDATOR] ✓ Replayed ${entries.length} ledger entr${entries.length === 1 ? 'y' : 'ies'} (₹${spent} disbursed).`);
+}
 
-    // ── Gate 2: Replay / Duplicate Block ──────────────────────────────────────
-    if (processedHashes.has(citizenHash)) {
-        return {
-            approved: false,
-            gate: 'Replay',
-            reason: 'Duplicate claim detected. This Citizen ID has already submitted a claim in this session.',
-        };
-    }
+/** Drop replay entries whose window (under the rules in force) has passed. */
+function pruneReplay() {
+    const gate = getRules().gates.find(g => g.type === 'replay');
+    const removed = replayStore.prune(scheme => replayWindowDays(gate.params, scheme));
+    if (removed) console.log(`[VALIDATOR] ✓ Pruned ${removed} expired replay entr${removed === 1 ? 'y' : 'ies'}.`);
+}
 
-    // ── Gate 3: Eligibility ────────────────────────────────────────────────────
-    const record = registry.lookup(citizenHash);
+/** Lift the replay block of a payout that was reversed. */
+function releaseReplay(citizenHash, scheme, ledgerHash) {
+    replayStore.release(citizenHash, scheme, ledgerHash);
+}
 
-    if (!record) {
-        return {
-            approved: false,
-            gate: 'Eligibility',
-            reason: 'Citizen ID not found in the national registry.',
-        };
+/**
+ * Run the gate pipeline from the rules file (see rules.js) in order; the
+ * first gate that rejects ends it.
+ * @param {object} ctx — claim context built by validate()
+ * @param {object} rules — rules in force
+ * @returns {{ gate: string, reason: string, freeze?: boolean } | null} rejection, or null if every gate passed
+ */
+function runGates(ctx, rules) {
+    for (const gate of rules.gates) {
+        const msg = (key, vars) => render(gate.messages[key], vars);
+        const rejection = GATE_TYPES[gate.type].check(ctx, gate.params, msg);
+        if (rejection) return { gate: gate.name, ...rejection };
     }
+    return null;
+}
 
-    if (record.account_status.toLowerCase() !== 'active') {
-        return {
-            approved: false,
-            gate: 'Eligibility',
-            reason: `Account is not active. Current status: "${record.account_status}".`,
-        };
-    }
+/**
+ * Payout for a registry record under the rules in force.
+ * @returns {{ amount: number, breakdown: object|null } | { problem: string, vars: object }}
+ */
+function entitlementFor(record, rules) {
+    if (!record) return { amount: 0, breakdown: null };
+    const gate = rules.gates.find(g => g.type === 'entitlement');
+    if (!gate) return { amount: record.scheme_amount, breakdown: null };
+    return entitlements.calculate(record, gate.params);
+}
 
-    if (!record.aadhaar_linked) {
-        return {
-            approved: false,
-            gate: 'Eligibility',
-            reason: 'Aadhaar is not linked to this Jan-Dhan account. Linking is mandatory.',
-        };
-    }
+/**
+ * Everything the gates read about a claim. Reads state; changes nothing.
+ * @param {{ citizenHash: string, scheme: string }} param
+ * @param {object} rules — rules in force
+ */
+function buildContext({ citizenHash, scheme }, rules) {
+    const { status } = state.getState();
+    const record = registry.lookup(citizenHash);
+    const region = (record && record.region_code) || quotas.UNKNOWN_REGION;
+    const now = new Date();
+    const entitlement = entitlementFor(record, rules);
+    return {
+        citizenHash,
+        scheme,
+        status,
+        record,
+        region,
+        pool: record ? state.getPool(record.scheme_eligibility) : null,
+        entitlement,
+        amount: entitlement.amount || 0,
+        lastPayout: replayStore.lastPayout(citizenHash, scheme),
+        regionUsage: (level) => quotas.usage(region, level, now),
+        now,
+    };
+}
 
-    if (record.scheme_eligibility.toLowerCase() !== scheme.trim().toLowerCase()) {
-        return {
-            approved: false,
-            gate: 'Eligibility',
-            reason: `Scheme mismatch. Citizen is eligible for "${record.scheme_eligibility}", not "${scheme}".`,
-        };
-    }
+/**
+ * Dry run: every gate, exactly as validate() would run them, with no side
+ * effects — no budget, ledger, replay or freeze changes.
+ * @param {{ citizenId: string, scheme: string }} param
+ * @returns {{ approved: boolean, gate: string, reason: string, nextEligibleDate?: string, amount?: number }}
+ */
+function check({ citizenId, scheme }) {
+    const rules = getRules();
+    const ctx = buildContext({ citizenHash: registry.hashCitizenId(citizenId), scheme }, rules);
 
-    if (record.claim_count > 3) {
-        return {
-            approved: false,
-            gate: 'Eligibility',
-            reason: `Annual claim limit exceeded (Count: ${record.claim_count} / Max: 3). Referred for manual review.`,
-        };
+    const rejection = runGates(ctx, rules);
+    if (rejection) {
+        const { freeze, refer, ...result } = rejection; // eslint-disable-line no-unused-vars
+        return { approved: false, dryRun: true, ...result };
     }
+    return {
+        approved: true,
+        dryRun: true,
+        gate: 'Approved',
+        reason: 'All validation gates passed. Nothing has been recorded — submit the claim to pay out.',
+        amount: ctx.amount,
+        scheme,
+        entitlement: ctx.entitlement.breakdown,
+        ruleVersion: rules.version,
+    };
+}
 
-    const amount = record.scheme_amount;
+/**
+ * Pay out a claim whose gates have all passed: write the ledger entry, then
+ * deduct budget and record the payout everywhere it counts.
+ * @param {object} ctx — claim context built by buildContext()
+ * @param {object} rules — rules in force
+ * @param {object} [extra] — additional ledger ext fields
+ * @returns {{ timestamp: string, currentHash: string }} ledger receipt
+ */
+function pay(ctx, rules, extra = {}) {
+    const { citizenHash, scheme, amount, region, entitlement } = ctx;
+    const ext = { ruleVersion: rules.version, region, ...extra };
+    if (entitlement.breakdown) ext.entitlement = entitlement.breakdown;
+    const ledgerEntry = ledger.append({ citizenHash, scheme, amount, ext });
 
-    // ── Gate 4: Budget ──────────────────────────────────────────────────────────
-    if (budget <= 0) {
-        state.freeze();
-        return {
-            approved: false,
-            gate: 'Budget',
-            reason: 'Budget exhausted (₹0 remaining). System auto-locked.',
-        };
-    }
+    state.deduct(amount, ctx.pool.scheme);
+    state.incrTx();
+    replayStore.record(citizenHash, scheme, ledgerEntry.currentHash, ledgerEntry.timestamp);
+    quotas.record(region, amount, ledgerEntry.timestamp);
+    overlay.recordPayout(citizenHash, ledgerEntry.currentHash, ledgerEntry.timestamp);
+
+    console.log(`[VALIDATOR] ✓ Approved | Scheme: ${scheme} | Region: ${region} | Amount: ₹${amount} | Rules v${rules.version}`);
+    return ledgerEntry;
+}
 
-    if (budget < amount) {
-        return {
-            approved: false,
-            gate: 'Budget',
-            reason: `Insufficient budget. Available: ₹${budget.toLocaleString('en-IN')}, Required: ₹${amount.toLocaleString('en-IN')}.`,
-        };
+/**
+ * Apply a rejection's side effects: freeze the system, or queue the claim
+ * for manual review (the response then carries the review id).
+ */
+function reject(ctx, rules, rejection) {
+    const { freeze, refer, ...result } = rejection;
+    if (freeze) state.freeze();
+    if (refer) {
+        const { id } = reviewQueue.refer({
+            citizenHash: ctx.citizenHash, scheme: ctx.scheme, gate: result.gate, reason: result.reason, ruleVersion: rules.version,
+        });
+        result.reviewId = id;
     }
+    return { approved: false, ...result };
+}
 
-    // ── Gate 5: Frequency (30-day check) ───────────────────────────────────────
-    if (record.last_claim_date) {
-        const lastClaim = new Date(record.last_claim_date);
-        const now = new Date();
-        const diffDays = (now - lastClaim) / (1000 * 60 * 60 * 24);
+/** Response for an approved claim. */
+function approvalResult({ amount, scheme, entitlement, ruleVersion, timestamp, ledgerHash }) {
+    return {
+        approved: true,
+        gate: 'Approved',
+        reason: 'All validation gates passed. Transaction approved and recorded.',
+        amount,
+        scheme,
+        entitlement,
+        ruleVersion,
+        timestamp,
+        ledgerHash, // receipt for GET /api/ledger/proof/:currentHash
+    };
+}
+
+/** The approval response, rebuilt from its DISBURSE ledger entry. */
+function approvalFromEntry(entry) {
+    return approvalResult({
+        amount: entry.amount,
+        scheme: entry.scheme,
+        entitlement: entry.ext.entitlement || null,
+        ruleVersion: entry.ext.ruleVersion,
+        timestamp: entry.timestamp,
+        ledgerHash: entry.currHash,
+    });
+}
 
-        if (diffDays < 30) {
-            const daysLeft = Math.ceil(30 - diffDays);
+/**
+ * Main validation entry point.
+ * With an idempotency key, a repeat of the same claim returns the first
+ * attempt's stored result (flagged idempotentReplay) without running any gate.
+ * @param {{ citizenId: string, scheme: string, idempotencyKey?: string }} param
+ * @returns {{ approved: boolean, reason: string, amount?: number, timestamp?: string, reviewId?: string }}
+ */
+function validate({ citizenId, scheme, idempotencyKey }) {
+    // Hash immediately — raw ID never touches any further logic
+    const citizenHash = registry.hashCitizenId(citizenId);
+
+    if (idempotencyKey) {
+        const prior = idempotency.lookup(idempotencyKey, citizenHash, scheme);
+        if (prior && prior.conflict) {
             return {
                 approved: false,
-                gate: 'Frequency',
-                reason: `Frequency violation. Last claim was ${Math.floor(diffDays)} day(s) ago. Please wait ${daysLeft} more day(s).`,
+                gate: 'Idempotency',
+                reason: 'This Idempotency-Key was already used for a different claim. Use a new key for every claim.',
             };
         }
+        if (prior) return { ...prior.result, idempotentReplay: true };
     }
 
-    // ── ALL GATES PASSED — APPROVE ─────────────────────────────────────────────
-    state.deduct(amount);
-    state.incrTx();
-    processedHashes.add(citizenHash);
+    const result = evaluate(citizenHash, scheme, idempotencyKey);
+    if (idempotencyKey) idempotency.remember(idempotencyKey, citizenHash, scheme, result);
+    return result;
+}
 
-    const ledgerEntry = ledger.append({ citizenHash, scheme, amount });
+/** Run the gates for a claim and apply the outcome. */
+function evaluate(citizenHash, scheme, idempotencyKey) {
+    const rules = getRules();
+    const ctx = buildContext({ citizenHash, scheme }, rules);
 
-    console.log(`[VALIDATOR] ✓ Approved | Scheme: ${scheme} | Amount: ₹${amount}`);
+    const rejection = runGates(ctx, rules);
+    if (rejection) return reject(ctx, rules, rejection);
 
-    return {
-        approved: true,
-        gate: 'Approved',
-        reason: 'All validation gates passed. Transaction approved and recorded.',
-        amount,
+    // ── ALL GATES PASSED — APPROVE ─────────────────────────────────────────────
+    const ledgerEntry = pay(ctx, rules, idempotencyKey ? { idempotencyKey } : {});
+
+    return approvalResult({
+        amount: ctx.amount,
         scheme,
+        entitlement: ctx.entitlement.breakdown,
+        ruleVersion: rules.version,
         timestamp: ledgerEntry.timestamp,
-    };
+        ledgerHash: ledgerEntry.currentHash,
+    });
+}
+
+/**
+ * Approve a claim referred for manual review. Every gate runs again at
+ * today's state with the reviewer's approval lifting the referral, so a
+ * claim can still be blocked by budget, quota, frequency or a prior payout;
+ * it then stays pending. The reviewer and comment go into the ledger entry.
+ * @param {string} id — review id
+ * @param {{ reviewer: string, comment: string }} decision
+ * @returns {{ success: true, review: object } | { success: false, error: string, gate?: string }}
+ */
+function approveReview(id, decision) {
+    const found = reviewQueue.open(id, decision);
+    if (found.error) return { success: false, error: found.error };
+    const { item, reviewer, comment } = found;
+
+    const rules = getRules();
+    const ctx = { ...buildContext({ citizenHash: item.citizenHash, scheme: item.scheme }, rules), reviewApproved: true };
+
+    const rejection = runGates(ctx, rules);
+    if (rejection) {
+        if (rejection.freeze) state.freeze();
+        return { success: false, gate: rejection.gate, error: rejection.reason };
+    }
+
+    const ledgerEntry = pay(ctx, rules, { review: { id: item.id, reviewer, comment } });
+    const review = reviewQueue.close(item, 'approved', { reviewer, comment }, {
+        amount: ctx.amount, ledgerHash: ledgerEntry.currentHash, timestamp: ledgerEntry.timestamp,
+    });
+    return { success: true, review };
 }
 
-module.exports = { validate };
+module.exports = { validate, check, approveReview, restoreFromLedger, releaseReplay };
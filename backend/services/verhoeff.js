@@ -0,0 +1,44 @@
+/**
+ * verhoeff.js — Verhoeff Check Digit
+ * Aadhaar-style IDs end in a Verhoeff check digit, which catches every
+ * single-digit typo and every swap of two adjacent digits. The frontend keeps
+ * its own copy of these tables (frontend/src/verhoeff.js) for live feedback.
+ */
+
+// Multiplication table of the dihedral group D5
+const D = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+    [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+    [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+    [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+    [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+    [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+    [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+    [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+    [9, 8, 7, 6, 5, 4, 3, 2, 1, 0],
+];
+
+// Position-dependent permutation, repeating every 8 digits
+const P = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+    [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+    [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+    [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+    [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+    [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+    [7, 0, 4, 6, 9, 1, 3, 2, 5, 8],
+];
+
+/** True if a digit string (check digit last) passes the Verhoeff check. */
+function isValid(digits) {
+    if (!/^\d+$/.test(String(digits))) return false;
+    let c = 0;
+    [...String(digits)].reverse().forEach((ch, i) => {
+        c = D[c][P[i % 8][Number(ch)]];
+    });
+    return c === 0;
+}
+
+module.exports = { isValid };
@@ -1,6 +1,7 @@
 import { useState, useEffect, useCallback, useRef } from 'react'
 import GateViz from './components/GateViz'
 import EventTicker from './components/EventTicker'
+import { verhoeffValid } from './verhoeff'
 import './index.css'
 
 // ── Constants ─────────────────────────────────────────────────────────────────
@@ -110,6 +111,8 @@ export default function App() {
   const [sysState, setSysState] = useState(null)
   const [ledger, setLedger] = useState([])
   const [schemes, setSchemes] = useState([])
+  const [hashAlgo, setHashAlgo] = useState(null)
+  const [report, setReport] = useState(null)
 
   // Claim form
   const [citizenId, setCitizenId] = useState('')
@@ -164,6 +167,11 @@ export default function App() {
       const sd = await sr.json()
       const ld = await lr.json()
       setSysState(sd)
+      if (sd.ledgerIntegrity === false) {
+        fetch('/api/admin/integrity').then(r => r.json()).then(setReport).catch(() => { })
+      } else {
+        setReport(null)
+      }
       const entries = Array.isArray(ld.entries) ? ld.entries : []
       setLedger(prev => {
         if (entries.length > prev.length) {
@@ -190,6 +198,10 @@ export default function App() {
       .then(r => r.json())
       .then(d => setSchemes(d.schemes || []))
       .catch(() => setSchemes(['Food', 'Health', 'Pension']))
+    fetch('/api/admin/registry')
+      .then(r => r.json())
+      .then(d => setHashAlgo(d.hashing?.algorithm ?? null))
+      .catch(() => { })
     poll()
     const iv = setInterval(poll, 5000)
     return () => clearInterval(iv)
@@ -261,9 +273,13 @@ export default function App() {
   // ── Derived state ─────────────────────────────────────────────────────────────
   const status = sysState?.status ?? 'active'
   const budget = sysState?.budget ?? INI_BUDGET
-  const budgetPct = budget / INI_BUDGET
+  const budgetPct = budget / (sysState?.initialBudget ?? INI_BUDGET)
+  const pools = sysState?.pools ?? []
   const txCount = sysState?.transactionCount ?? approved
   const integrity = sysState?.ledgerIntegrity !== false
+  const checksumOn = sysState?.citizenIdChecksum === 'verhoeff'
+  const idComplete = citizenId.length === 12
+  const idChecksumOk = idComplete && verhoeffValid(citizenId)
   const isBlocked = status !== 'active'
 
   // ── Render ────────────────────────────────────────────────────────────────────
@@ -302,6 +318,28 @@ export default function App() {
         <div className="frz-toast">
           <div className="ft-title">🔴 Security Event — System Frozen</div>
           <div className="ft-body">All claim processing halted. Admin restart required.</div>
+          {report && !report.valid && (
+            <div className="ft-report">
+              {!report.fileHash.match && <div><strong>File hash</strong> mismatch vs ledger_meta.json</div>}
+              {report.firstBrokenLine && (
+                <div>
+                  <strong>First broken line</strong> #{report.firstBrokenLine.line}
+                  {' · '}expected {report.firstBrokenLine.expectedCurrHash.slice(0, 10)}…
+                  {' '}stored {String(report.firstBrokenLine.storedCurrHash).slice(0, 10)}…
+                </div>
+              )}
+              {report.malformedLines.length > 0 && (
+                <div><strong>Malformed</strong> line(s) {report.malformedLines.map(m => `#${m.line}`).join(', ')}</div>
+              )}
+              <div>
+                <strong>Last known-good</strong>{' '}
+                {report.lastKnownGood
+                  ? `#${report.lastKnownGood.line} · ${report.lastKnownGood.currHash.slice(0, 10)}…`
+                  : 'genesis'}
+              </div>
+              <div>{report.issues.length} issue(s) · full report at /api/admin/integrity</div>
+            </div>
+          )}
         </div>
       )}
 
@@ -320,9 +358,9 @@ export default function App() {
               <div className="fg">
                 <label className={`fl ${focused ? 'hashing' : ''}`}>
                   Citizen ID
-                  <span className="fl-tag">SHA-256 ACTIVE</span>
+                  <span className="fl-tag">{hashAlgo ? hashAlgo.toUpperCase() : 'HASHED'}</span>
                 </label>
-                <div className={`id-wrap ${focused ? 'on' : ''}`}>
+                <div className={`id-wrap ${focused ? 'on' : ''} ${idComplete && !idChecksumOk && checksumOn ? 'bad' : ''}`}>
                   <input
                     className="id-inp"
                     type="text" inputMode="numeric"
@@ -335,6 +373,15 @@ export default function App() {
                     onBlur={() => setFocused(false)}
                   />
                 </div>
+                {citizenId && (
+                  <div className={`id-hint ${!idComplete || !checksumOn ? '' : idChecksumOk ? 'ok' : 'bad'}`}>
+                    {!idComplete || !checksumOn
+                      ? `${citizenId.length}/12 digits`
+                      : idChecksumOk
+                        ? '✓ Check digit valid'
+                        : '✗ Check digit mismatch — re-check the ID for a typing error'}
+                  </div>
+                )}
               </div>
 
               {/* Scheme dropdown */}
@@ -378,7 +425,7 @@ export default function App() {
               <button
                 type="submit"
                 className={`sub-btn ${isBlocked ? 'blocked' : ''}`}
-                disabled={loading || !citizenId || !scheme}
+                disabled={loading || !citizenId || !scheme || (checksumOn && idComplete && !idChecksumOk)}
               >
                 <div className="bi">
                   {loading
@@ -402,6 +449,15 @@ export default function App() {
                   <div className="res-rows">
                     <div className="rr"><span>Scheme</span><strong>{result.scheme}</strong></div>
                     <div className="rr"><span>Amount</span><strong>{toINR(result.amount)}</strong></div>
+                    {result.entitlement && (
+                      <div className="rr">
+                        <span>Entitlement</span>
+                        <strong>
+                          {toINR(result.entitlement.base)} × {Math.round(result.entitlement.tierRate * 100)}% ({result.entitlement.incomeTier})
+                          {' '}× {Math.round(result.entitlement.claimFactor * 100)}% ({result.entitlement.claimCount} prior)
+                        </strong>
+                      </div>
+                    )}
                     <div className="rr">
                       <span>Timestamp</span>
                       <strong>{result.timestamp
@@ -503,6 +559,21 @@ export default function App() {
                 </div>
               </div>
             </div>
+
+            {/* Per-scheme budget pools */}
+            {pools.length > 0 && (
+              <div className="pools">
+                {pools.map(p => (
+                  <div key={p.scheme} className={`pool ${p.exhausted ? 'empty' : ''}`}>
+                    <span className="pool-name">{SCHEME_ICON[p.scheme] ?? '•'}&nbsp;{p.scheme}</span>
+                    <div className="pool-bar">
+                      <div className="pool-fill" style={{ width: `${p.initial ? (p.remaining / p.initial) * 100 : 0}%` }} />
+                    </div>
+                    <span className="pool-val">{p.exhausted ? 'EXHAUSTED' : toINR(p.remaining)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
 
           {/* Integrity strip */}
@@ -548,8 +619,11 @@ export default function App() {
                               : '—'}
                           </td>
                           <HashCell full={e.citizenHash} short={e.citizenHash} />
-                          <td className="td-s">{e.scheme}</td>
-                          <td className="td-a">{toINR(e.amount)}</td>
+                          <td className="td-s">
+                            {e.scheme}
+                            {e.type && e.type !== 'DISBURSE' && <span className="td-type">{e.type}</span>}
+                          </td>
+                          <td className="td-a">{toINR(e.type === 'REVERSAL' ? -e.amount : e.amount)}</td>
                           <td className="td-c"><span className="ch-ic">⛓</span></td>
                         </tr>
                       ))}
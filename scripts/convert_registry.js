@@ -1,73 +1,105 @@
 /**
  * convert_registry.js
- * Reads jan_dhan_registry_advanced.xlsx and outputs a clean registry.json
- * to the data/ folder. Normalises all fields and strips empty rows.
+ * Reads jan_dhan_registry_advanced.xlsx and writes a clean copy of the
+ * registry for the other registry sources (REGISTRY_SOURCE=json|csv|sqlite).
+ * Rows are normalised by backend/services/registryFormat.js, the same code
+ * the server uses; empty rows and repeated Citizen_IDs are stripped.
+ *
+ * Every run prints the data-quality report (backend/services/registryQuality.js)
+ * with row numbers. --strict refuses to write when a rule is over its
+ * threshold in config/registry_quality.json; --check only prints the report.
+ *
+ * Usage: node scripts/convert_registry.js [json|csv|sqlite] [output] [--strict] [--check]
+ *   json   (default) → data/registry.json
+ *   csv              → data/registry.csv
+ *   sqlite           → data/registry.db, table "registry" (replaced if present)
  */
 
 const XLSX = require('xlsx');
 const fs = require('fs');
 const path = require('path');
 
-const EXCEL_PATH = path.join(__dirname, '..', 'jan_dhan_registry_advanced.xlsx');
-const SHEET_NAME = 'Jan_Dhan_Registry_Advanced';
-const OUTPUT_PATH = path.join(__dirname, '..', 'data', 'registry.json');
+const { FIELDS, normaliseRow } = require('../backend/services/registryFormat');
+const { createRegistrySource, DEFAULT_FILES } = require('../backend/services/registrySource');
+const quality = require('../backend/services/registryQuality');
+
+const args = process.argv.slice(2).filter(a => !a.startsWith('--'));
+const flags = new Set(process.argv.slice(2).filter(a => a.startsWith('--')));
+const FORMAT = args[0] || 'json';
+if (!['json', 'csv', 'sqlite'].includes(FORMAT)) {
+    console.error(`Unknown output format "${FORMAT}" (expected json, csv or sqlite).`);
+    process.exit(1);
+}
+const OUTPUT_PATH = path.resolve(args[1] || DEFAULT_FILES[FORMAT]);
+const SHOWN_PER_RULE = 10;
 
 // ── Read Excel ───────────────────────────────────────────────────────────────
-const wb = XLSX.readFile(EXCEL_PATH, { cellDates: true });
-const ws = wb.Sheets[SHEET_NAME];
-if (!ws) { console.error(`Sheet "${SHEET_NAME}" not found.`); process.exit(1); }
+let raw, config;
+try {
+    ({ rows: raw } = createRegistrySource('xlsx').readSync());
+    config = quality.loadQualityConfig();
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
+
+// ── Data Quality ─────────────────────────────────────────────────────────────
+const report = quality.inspect(raw, config);
+if (report.issues.length) {
+    console.log(`⚠️   ${report.issues.length} data-quality issue(s) in ${report.checked} rows: ${quality.describeCounts(report.counts)}`);
+    for (const rule of quality.RULES) {
+        const found = report.issues.filter(i => i.rule === rule);
+        found.slice(0, SHOWN_PER_RULE).forEach(i => console.log(`   row ${i.row}: ${i.message}`));
+        if (found.length > SHOWN_PER_RULE) console.log(`   … and ${found.length - SHOWN_PER_RULE} more ${rule}`);
+    }
+} else {
+    console.log(`✅  No data-quality issues in ${report.checked} rows.`);
+}
 
-const raw = XLSX.utils.sheet_to_json(ws, { raw: true, cellDates: true });
+const over = quality.exceeded(report, config.thresholds);
+if ((flags.has('--strict') || config.strict) && over.length) {
+    console.error('❌  Strict import refused — nothing written:');
+    over.forEach(o => console.error(`   ${o}`));
+    process.exit(1);
+}
+if (flags.has('--check')) process.exit(0);
 
 // ── Clean & Normalise ────────────────────────────────────────────────────────
+const seen = new Set();
 const cleaned = raw
-    .filter(row => row['Citizen_ID'])          // drop blank rows
-    .map((row, idx) => {
-        // Citizen_ID — always 12-char zero-padded string
-        const citizenId = String(row['Citizen_ID']).trim().padStart(12, '0');
-
-        // Account_Status
-        const accountStatus = String(row['Account_Status'] || '').trim();
-
-        // Aadhaar_Linked — handle Excel boolean or string
-        const aaRaw = row['Aadhaar_Linked'];
-        const aadhaarLinked = aaRaw === true || String(aaRaw).trim().toLowerCase() === 'true';
-
-        // Scheme fields
-        const schemeEligibility = String(row['Scheme_Eligibility'] || '').trim();
-        const schemeAmount = parseFloat(row['Scheme_Amount']) || 0;
+    .map(normaliseRow)
+    .filter(r => r.citizen_id && !seen.has(r.citizen_id) && seen.add(r.citizen_id))    // drop blank rows and repeats
+    .map(r => ({ ...r, last_claim_date: r.last_claim_date ? r.last_claim_date.toISOString() : null }));
 
-        // Claim_Count
-        const claimCount = parseInt(row['Claim_Count']) || 0;
-
-        // Last_Claim_Date — store as ISO string or null
-        let lastClaimDate = null;
-        if (row['Last_Claim_Date']) {
-            const d = row['Last_Claim_Date'];
-            const dt = d instanceof Date ? d : new Date(d);
-            if (!isNaN(dt.getTime())) lastClaimDate = dt.toISOString();
-        }
-
-        // Optional fields
-        const incomeTier = String(row['Income_Tier'] || '').trim();
-        const regionCode = String(row['Region_Code'] || '').trim();
-
-        return {
-            citizen_id: citizenId,
-            account_status: accountStatus,
-            aadhaar_linked: aadhaarLinked,
-            scheme_eligibility: schemeEligibility,
-            scheme_amount: schemeAmount,
-            claim_count: claimCount,
-            last_claim_date: lastClaimDate,
-            income_tier: incomeTier,
-            region_code: regionCode,
-        };
-    });
-
-// ── Write JSON ───────────────────────────────────────────────────────────────
+// ── Write ────────────────────────────────────────────────────────────────────
 fs.mkdirSync(path.dirname(OUTPUT_PATH), { recursive: true });
-fs.writeFileSync(OUTPUT_PATH, JSON.stringify(cleaned, null, 2), 'utf-8');
+
+if (FORMAT === 'json') {
+    fs.writeFileSync(OUTPUT_PATH, JSON.stringify(cleaned, null, 2), 'utf-8');
+} else if (FORMAT === 'csv') {
+    const ws = XLSX.utils.json_to_sheet(cleaned, { header: FIELDS });
+    fs.writeFileSync(OUTPUT_PATH, XLSX.utils.sheet_to_csv(ws) + '\n', 'utf-8');
+} else {
+    const Database = require('better-sqlite3');
+    const db = new Database(OUTPUT_PATH);
+    db.exec(`
+        DROP TABLE IF EXISTS registry;
+        CREATE TABLE registry (
+            citizen_id         TEXT NOT NULL,
+            account_status     TEXT NOT NULL,
+            aadhaar_linked     INTEGER NOT NULL,
+            scheme_eligibility TEXT NOT NULL,
+            scheme_amount      REAL NOT NULL,
+            claim_count        INTEGER NOT NULL,
+            last_claim_date    TEXT,
+            income_tier        TEXT,
+            region_code        TEXT
+        );
+    `);
+    const insert = db.prepare(`INSERT INTO registry (${FIELDS.join(', ')}) VALUES (${FIELDS.map(f => '@' + f).join(', ')})`);
+    db.transaction(rows => rows.forEach(r => insert.run({ ...r, aadhaar_linked: r.aadhaar_linked ? 1 : 0 })))(cleaned);
+    db.close();
+}
 
 console.log(`✅  Converted ${cleaned.length} records → ${OUTPUT_PATH}`);
 
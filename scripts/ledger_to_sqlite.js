@@ -0,0 +1,84 @@
+/**
+ * ledger_to_sqlite.js
+ * Copies the text-file ledger (data/ledger.txt) into a new SQLite store, line
+ * for line, so the server can be switched to LEDGER_STORAGE=sqlite without
+ * re-chaining or re-signing anything. The file hash, chain head and every
+ * signature stay the same; the file store is left untouched.
+ *
+ * The source must pass verification, be non-empty and have its stored file
+ * hash; the target must be empty. The server must be stopped (the ledger lock
+ * is held for the whole run).
+ *
+ * Usage: node scripts/ledger_to_sqlite.js [target.db]   (default data/ledger.db)
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+
+const signer = require('../backend/services/signer');
+const { verifyLedger, splitLines } = require('../backend/services/ledgerVerify');
+const { createFileStore } = require('../backend/services/ledgerStoreFile');
+const { createSqliteStore } = require('../backend/services/ledgerStoreSqlite');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const USAGE = 'Usage: node scripts/ledger_to_sqlite.js [target.db]';
+
+// ── Preconditions ────────────────────────────────────────────────────────────
+const args = process.argv.slice(2);
+if (args.length > 1 || (args[0] && args[0].startsWith('-'))) {
+    console.error(USAGE);
+    process.exit(1);
+}
+const TARGET = path.resolve(args[0] || process.env.LEDGER_SQLITE_FILE || path.join(DATA_DIR, 'ledger.db'));
+
+// ── Source ───────────────────────────────────────────────────────────────────
+const source = createFileStore({ dir: DATA_DIR });
+try {
+    source.open();   // takes the ledger lock: refused while a server has it open
+} catch (err) {
+    console.error(`${err.message} Stop the server first.`);
+    process.exit(1);
+}
+const { content, meta } = source.snapshot();
+if (!content || !meta) {
+    console.error(content ? 'Source ledger has no stored file hash (ledger_meta.json). Not copying.' : 'No ledger to copy.');
+    process.exit(1);
+}
+
+const { report, head } = verifyLedger({ content, meta, keyring: signer.loadKeyring() });
+if (!report.valid) {
+    console.error(`Source ledger failed verification (${report.issues.length} issue(s)). Run scripts/verify_ledger.js for details.`);
+    process.exit(1);
+}
+
+const lines = splitLines(content);
+if (lines.map(l => l + '\n').join('') !== content) {
+    console.error('Source ledger has blank lines or stray whitespace; its file hash cannot be reproduced line by line.');
+    process.exit(1);
+}
+
+// ── Target ───────────────────────────────────────────────────────────────────
+const target = createSqliteStore({ file: TARGET });
+target.open();
+if (target.snapshot().content !== '') {
+    console.error(`${TARGET} already holds a ledger. Not copying.`);
+    process.exit(1);
+}
+
+let hasher = crypto.createHash('sha256');
+for (const line of lines) {
+    const prevFileHash = hasher.copy().digest('hex');
+    hasher = hasher.update(line + '\n');
+    target.append(line, { prevFileHash, fileHash: hasher.copy().digest('hex') });
+}
+
+const copied = target.snapshot();
+if (copied.content !== content || !copied.meta || copied.meta.fileHash !== meta.fileHash) {
+    console.error('Copy does not match the source byte for byte.');
+    process.exit(1);
+}
+
+console.log(`✅  Copied ${lines.length} line(s) → ${TARGET}`);
+console.log(`   Chain head : ${head}`);
+console.log(`   File hash  : ${copied.meta.fileHash}`);
+console.log('   Start the server with LEDGER_STORAGE=sqlite to use it.');
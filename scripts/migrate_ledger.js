@@ -0,0 +1,132 @@
+/**
+ * migrate_ledger.js
+ * Re-chains data/ledger.txt into the current record format (JSON lines, v2).
+ *
+ * Every entry keeps its timestamp, type, citizen hash, scheme, amount and
+ * reason; it gets a new PreviousHash/CurrentHash and is re-signed with the
+ * key that was active at that point in the old chain (KEY_ROTATION events
+ * are carried over, so the key history is unchanged). REVERSAL/ADJUSTMENT
+ * refs are rewritten to the new hashes, and each record keeps its old hash
+ * in ext.migratedFrom.
+ *
+ * Outputs (in data/):
+ *   ledger.txt                       — the migrated ledger
+ *   ledger.pre-v2-<stamp>.txt        — the original, untouched
+ *   ledger_migration_<stamp>.json    — old → new hash mapping, signed with
+ *                                      the active key over its canonical JSON
+ *
+ * The server must be stopped. Usage: node scripts/migrate_ledger.js [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const format = require('../backend/services/ledgerFormat');
+const signer = require('../backend/services/signer');
+const ledger = require('../backend/services/ledger');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const LEDGER_FILE = path.join(DATA_DIR, 'ledger.txt');
+const META_FILE = path.join(DATA_DIR, 'ledger_meta.json');
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// ── Preconditions ────────────────────────────────────────────────────────────
+if ((process.env.LEDGER_STORAGE || 'file') !== 'file') {
+    console.error('migrate_ledger.js works on the text-file store only (LEDGER_STORAGE=file).');
+    process.exit(1);
+}
+if (!fs.existsSync(LEDGER_FILE)) { console.log('No ledger to migrate.'); process.exit(0); }
+
+// Hold the ledger lock for the whole run: refused while a server has it open
+try {
+    ledger.openLedger();
+} catch (err) {
+    console.error(`${err.message} Stop the server first.`);
+    process.exit(1);
+}
+
+// Refuse to re-sign anything that does not verify today
+if (!ledger.verifyIntegrity()) {
+    console.error('Ledger failed verification — see data/integrity_report.json. Not migrating.');
+    process.exit(1);
+}
+
+const keyring = signer.loadKeyring();
+const lines = fs.readFileSync(LEDGER_FILE, 'utf-8').split('\n').map(l => l.trim()).filter(Boolean);
+const entries = lines.map(format.parseLine);
+
+if (entries.every(e => e.version === format.FORMAT_VERSION)) {
+    console.log(`Ledger is already in format v${format.FORMAT_VERSION}. Nothing to do.`);
+    process.exit(0);
+}
+
+// ── Re-chain ─────────────────────────────────────────────────────────────────
+const hashMap = new Map();   // old CurrentHash → new CurrentHash
+const mapping = [];
+const out = [];
+let prevHash = format.GENESIS_HASH;
+let signingKeyId = keyring.genesisKeyId;
+
+entries.forEach((entry, i) => {
+    let fields;
+    if (entry.type === format.KEY_ROTATION) {
+        fields = { type: entry.type, timestamp: entry.timestamp, newKeyId: entry.newKeyId, newPublicKey: entry.newPublicKey };
+    } else {
+        fields = {
+            type: entry.type,
+            timestamp: entry.timestamp,
+            citizenHash: entry.citizenHash,
+            scheme: entry.scheme,
+            amount: entry.amount,
+            ref: entry.ref ? hashMap.get(entry.ref) || entry.ref : null,
+            reason: entry.reason,
+            ext: { ...entry.ext, migratedFrom: entry.currHash },
+        };
+    }
+
+    const record = format.buildRecord({ ...fields, prevHash, keyId: signingKeyId });
+    out.push(format.serialize({ ...record, signature: signer.sign(signingKeyId, record.currHash) }));
+
+    hashMap.set(entry.currHash, record.currHash);
+    mapping.push({ line: i + 1, fromVersion: entry.version, oldHash: entry.currHash, newHash: record.currHash });
+
+    if (entry.type === format.KEY_ROTATION) signingKeyId = entry.newKeyId;
+    prevHash = record.currHash;
+});
+
+const oldContent = fs.readFileSync(LEDGER_FILE, 'utf-8');
+const newContent = out.join('\n') + '\n';
+const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+const manifest = {
+    migratedAt: new Date().toISOString(),
+    toVersion: format.FORMAT_VERSION,
+    from: { lines: lines.length, head: entries[entries.length - 1].currHash, fileHash: format.sha256(oldContent) },
+    to: { lines: out.length, head: prevHash, fileHash: format.sha256(newContent) },
+    keyId: signingKeyId,
+    mapping,
+};
+manifest.signature = signer.sign(signingKeyId, format.sha256(format.canonicalJson(manifest)));
+
+console.log(`Re-chained ${out.length} entr${out.length === 1 ? 'y' : 'ies'} → v${format.FORMAT_VERSION}.`);
+console.log(`   Old head : ${manifest.from.head}`);
+console.log(`   New head : ${manifest.to.head}`);
+
+if (DRY_RUN) { console.log('Dry run — nothing written.'); process.exit(0); }
+
+// ── Write ────────────────────────────────────────────────────────────────────
+const backupFile = path.join(DATA_DIR, `ledger.pre-v2-${stamp}.txt`);
+const mappingFile = path.join(DATA_DIR, `ledger_migration_${stamp}.json`);
+
+fs.writeFileSync(mappingFile, JSON.stringify(manifest, null, 2), 'utf-8');
+fs.writeFileSync(`${LEDGER_FILE}.tmp`, newContent, 'utf-8');
+fs.copyFileSync(LEDGER_FILE, backupFile);
+fs.renameSync(`${LEDGER_FILE}.tmp`, LEDGER_FILE);
+fs.writeFileSync(META_FILE, JSON.stringify({ fileHash: manifest.to.fileHash }), 'utf-8');
+
+// Every line is signed now — there is no unsigned legacy prefix left
+signer.setLegacy({ lines: 0, head: format.GENESIS_HASH });
+
+console.log(`✅  Migrated ledger → ${LEDGER_FILE}`);
+console.log(`   Original  : ${backupFile}`);
+console.log(`   Mapping   : ${mappingFile} (signed by ${signingKeyId})`);
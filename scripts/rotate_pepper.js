@@ -0,0 +1,135 @@
+/**
+ * rotate_pepper.js
+ * Rotates the secret pepper used to hash Citizen IDs (see
+ * backend/services/citizenHash.js). The first run moves a ledger written with
+ * plain SHA-256 hashes onto HMAC-SHA-256.
+ *
+ * Ledger lines are never rewritten. Instead:
+ *   1. a new pepper is saved as "pending" in the pepper file;
+ *   2. every citizen hash the ledger knows is rehashed from the registry
+ *      (REGISTRY_SOURCE) and the pairs are written to
+ *      data/citizen_links/<newPepperId>.json (mode 0600), the old hash keyed
+ *      with the link key from the pepper file (created on the first run);
+ *   3. a PEPPER_ROTATION record committing to the link file's digest is
+ *      appended to the ledger, signed by the active key;
+ *   4. the new pepper becomes active and the old secret is discarded.
+ * The server rebuilds its registry index with the new pepper at its next start
+ * and resolves older ledger hashes through the link files.
+ *
+ * Idempotency keys are bound to the old hashes, so the key file is removed;
+ * approvals inside the window are restored from the ledger at the next start.
+ * Ledger hashes of citizens no longer in the registry cannot be linked and
+ * are listed.
+ *
+ * Rotation does not protect what is already written. Citizen hashes recorded
+ * before the first run are plain SHA-256 and stay in ledger.txt (and any
+ * export bundle) as they are: whoever has a copy can still recover those
+ * Citizen IDs by brute force. Only records written afterwards are keyed.
+ *
+ * If a run is interrupted after step 3, running it again finishes step 4.
+ * The server must be stopped. Usage: node scripts/rotate_pepper.js [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const citizenHash = require('../backend/services/citizenHash');
+const ledger = require('../backend/services/ledger');
+const { normaliseRow } = require('../backend/services/registryFormat');
+const { createRegistrySource } = require('../backend/services/registrySource');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const IDEMPOTENCY_FILE = process.env.IDEMPOTENCY_FILE || path.join(DATA_DIR, 'idempotency_keys.json');
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// ── Preconditions ────────────────────────────────────────────────────────────
+// Hold the ledger lock for the whole run: refused while a server has it open
+try {
+    ledger.openLedger();
+} catch (err) {
+    console.error(`${err.message} Stop the server first.`);
+    process.exit(1);
+}
+
+function promote(doc, pending) {
+    const retired = doc.active ? [...doc.retired, { pepperId: doc.active.pepperId, retiredAt: new Date().toISOString() }] : doc.retired;
+    citizenHash.savePepperFile({ ...doc, active: pending, pending: null, retired });
+}
+
+const pepperFile = citizenHash.readPepperFile();
+const valid = ledger.verifyIntegrity();
+const rotations = ledger.getPepperRotations();
+const ledgerPepperId = rotations.length ? rotations[rotations.length - 1].newPepperId : null;
+
+// ── Finish an interrupted rotation ───────────────────────────────────────────
+if (pepperFile.pending && pepperFile.pending.pepperId === ledgerPepperId) {
+    if (!DRY_RUN) promote(pepperFile, pepperFile.pending);
+    console.log(`✅  Finished the interrupted rotation: pepper ${ledgerPepperId} is now active.`);
+    process.exit(0);
+}
+
+if (!valid) {
+    console.error('Ledger failed verification — see data/integrity_report.json. Not rotating.');
+    process.exit(1);
+}
+
+// ── Rehash ───────────────────────────────────────────────────────────────────
+const oldPepper = pepperFile.active;
+const newPepper = citizenHash.createPepper();
+const linkKey = pepperFile.linkKey || citizenHash.createLinkKey();
+
+let rows;
+try {
+    ({ rows } = createRegistrySource().readSync());
+} catch (err) {
+    console.error(`Cannot read the registry: ${err.message}`);
+    process.exit(1);
+}
+
+// Current hash → new hash, for every citizen in the registry
+const rehashed = new Map();
+for (const row of rows) {
+    const { citizen_id: citizenId } = normaliseRow(row);
+    if (citizenId) rehashed.set(citizenHash.hashWith(oldPepper && oldPepper.secret, citizenId), citizenHash.hashWith(newPepper.secret, citizenId));
+}
+
+// Link every hash the ledger has recorded (the index holds current hashes)
+const known = new Set(ledger.getEntries().map(e => e.citizenHash));
+const links = {};
+const unlinked = [];
+for (const hash of [...known].sort()) {
+    if (rehashed.has(hash)) links[citizenHash.linkId(linkKey, hash)] = rehashed.get(hash);
+    else unlinked.push(hash);
+}
+
+const linkCount = Object.keys(links).length;
+console.log(`Rotating  : ${oldPepper ? oldPepper.pepperId : '(unkeyed SHA-256)'} → ${newPepper.pepperId}`);
+console.log(`Linked    : ${linkCount} of ${known.size} citizen hash(es) in the ledger`);
+if (unlinked.length) {
+    console.warn(`⚠️   ${unlinked.length} ledger hash(es) have no registry record and stay unlinked:`);
+    unlinked.forEach(h => console.warn(`   ${h}`));
+}
+if (DRY_RUN) {
+    console.log('Dry run — nothing written.');
+    process.exit(0);
+}
+
+// ── Write ────────────────────────────────────────────────────────────────────
+const keyedFile = { ...pepperFile, linkKey };
+citizenHash.savePepperFile({ ...keyedFile, pending: newPepper });
+
+const oldPepperId = oldPepper ? oldPepper.pepperId : null;
+citizenHash.writeLinks({ oldPepperId, newPepperId: newPepper.pepperId, createdAt: new Date().toISOString(), links });
+const { currentHash } = ledger.recordPepperRotation({
+    oldPepperId,
+    newPepperId: newPepper.pepperId,
+    linkCount,
+    linksHash: citizenHash.linksDigest(links),
+});
+
+promote(keyedFile, newPepper);
+if (fs.existsSync(IDEMPOTENCY_FILE)) fs.unlinkSync(IDEMPOTENCY_FILE);
+
+console.log(`✅  Pepper ${newPepper.pepperId} is active. Ledger record: ${currentHash}`);
+console.log(`   Links     : ${path.join(citizenHash.LINKS_DIR, `${newPepper.pepperId}.json`)}`);
+console.log(`   Pepper    : ${citizenHash.PEPPER_FILE} — back it up; without it no Citizen ID can be matched.`);
@@ -0,0 +1,161 @@
+/**
+ * verify_ledger.js
+ * Offline ledger verification — the same file-hash, hash-chain and signature
+ * checks as ledger.verifyIntegrity() (both use backend/services/ledgerVerify.js),
+ * without starting the server, taking the ledger lock or touching state.js.
+ * Nothing is written.
+ *
+ * Usage:
+ *   node scripts/verify_ledger.js                         — data/ + keys/ of this checkout
+ *   node scripts/verify_ledger.js --data <dir> --keys <dir>
+ *   node scripts/verify_ledger.js --sqlite <ledger.db> [--keys <dir>]    — SQLite store
+ *   node scripts/verify_ledger.js --bundle <export.json> [--keys <dir>]
+ *   add --json to print the full forensic report
+ *
+ * A bundle (GET /api/admin/ledger/export) carries its own public keyring;
+ * pass --keys to check it against a keyring you already trust instead.
+ * For bundles the manifest is checked too: file/meta hashes, chain head and
+ * its signature.
+ *
+ * PEPPER_ROTATION records are checked against their citizen hash link files
+ * (--links <dir>, default <data>/citizen_links; bundles only with --links).
+ *
+ * Exit code: 0 valid, 1 integrity failure, 2 bad usage or unreadable input.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const format = require('../backend/services/ledgerFormat');
+const { verifyLedger, createKeyVerifier } = require('../backend/services/ledgerVerify');
+const { createSqliteStore } = require('../backend/services/ledgerStoreSqlite');
+const { checkRotations } = require('../backend/services/citizenHash');
+
+// ── Arguments ────────────────────────────────────────────────────────────────
+const args = process.argv.slice(2);
+function option(name) {
+    const i = args.indexOf(name);
+    return i === -1 ? null : args[i + 1];
+}
+
+const JSON_OUTPUT = args.includes('--json');
+const BUNDLE_FILE = option('--bundle');
+const SQLITE_FILE = option('--sqlite');
+const DATA_DIR = path.resolve(option('--data') || path.join(__dirname, '..', 'data'));
+const LINKS_DIR = option('--links') || (BUNDLE_FILE ? null : path.join(DATA_DIR, 'citizen_links'));
+const KEY_DIR = option('--keys') || (BUNDLE_FILE ? null : process.env.LEDGER_KEY_DIR || path.join(__dirname, '..', 'keys'));
+
+function fail(message) {
+    console.error(`❌  ${message}`);
+    process.exit(2);
+}
+
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+        return fail(`Cannot read ${file}: ${err.message}`);
+    }
+}
+
+function readOptional(file) {
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : null;
+}
+
+// ── Load input ───────────────────────────────────────────────────────────────
+let content, metaContent, keyring, manifest = null;
+let storeIssues = [];
+
+if (BUNDLE_FILE) {
+    const bundle = readJson(BUNDLE_FILE);
+    if (typeof bundle.ledger !== 'string' || !bundle.manifest) fail(`${BUNDLE_FILE} is not a ledger export bundle.`);
+    content = bundle.ledger;
+    metaContent = bundle.meta;
+    keyring = bundle.keyring || null;
+    manifest = bundle.manifest;
+} else if (SQLITE_FILE) {
+    if (!fs.existsSync(SQLITE_FILE)) fail(`No ledger at ${SQLITE_FILE}.`);
+    const store = createSqliteStore({ file: SQLITE_FILE, readonly: true });
+    store.open();
+    content = store.snapshot().content;
+    metaContent = store.metaContent();
+    storeIssues = store.check();
+} else {
+    const ledgerFile = path.join(DATA_DIR, 'ledger.txt');
+    if (!fs.existsSync(ledgerFile)) fail(`No ledger at ${ledgerFile}.`);
+    content = fs.readFileSync(ledgerFile, 'utf-8');
+    metaContent = readOptional(path.join(DATA_DIR, 'ledger_meta.json'));
+}
+
+if (KEY_DIR) {
+    const keyringFile = path.join(KEY_DIR, 'ledger_keys.json');
+    keyring = fs.existsSync(keyringFile) ? readJson(keyringFile) : null;
+}
+
+let meta = null;
+if (metaContent !== null && metaContent !== undefined) {
+    try {
+        meta = JSON.parse(metaContent);
+    } catch {
+        fail('ledger_meta.json is not valid JSON.');
+    }
+}
+
+// ── Verify ───────────────────────────────────────────────────────────────────
+const rotations = [];
+const { report, head } = verifyLedger({
+    content,
+    meta,
+    keyring,
+    onEntry: (entry, line) => {
+        if (entry.type === format.PEPPER_ROTATION) rotations.push({ line, entry });
+    },
+});
+const linkIssues = LINKS_DIR ? checkRotations(rotations, LINKS_DIR).issues : [];
+if (storeIssues.length || linkIssues.length) {
+    report.issues.unshift(...storeIssues);
+    report.issues.push(...linkIssues);
+    report.valid = false;
+}
+
+if (manifest) {
+    const check = (ok, reason, details = {}) => {
+        if (!ok) report.issues.push({ line: null, reason, ...details });
+    };
+    const actualMetaHash = metaContent === null || metaContent === undefined ? null : format.sha256(metaContent);
+    const { signature, ...signed } = manifest;
+
+    check(manifest.fileHash === report.fileHash.actual, 'Manifest fileHash does not match the bundled ledger',
+        { expected: manifest.fileHash, actual: report.fileHash.actual });
+    check(manifest.metaHash === actualMetaHash, 'Manifest metaHash does not match the bundled ledger_meta.json',
+        { expected: manifest.metaHash, actual: actualMetaHash });
+    check(manifest.chainHead === head, 'Manifest chainHead does not match the last ledger line',
+        { expected: manifest.chainHead, actual: head });
+    check(Boolean(signature) && createKeyVerifier(keyring).verify(
+        manifest.keyId, format.sha256(format.canonicalJson(signed)), signature
+    ), 'Manifest signature is missing or invalid', { keyId: manifest.keyId });
+
+    report.valid = report.issues.length === 0;
+}
+
+// ── Report ───────────────────────────────────────────────────────────────────
+if (JSON_OUTPUT) {
+    console.log(JSON.stringify(report, null, 2));
+} else {
+    const source = BUNDLE_FILE ? `bundle ${BUNDLE_FILE}` : SQLITE_FILE || DATA_DIR;
+    console.log(`Ledger     : ${source} (${report.lineCount} line(s))`);
+    console.log(`Keyring    : ${keyring ? `${Object.keys(keyring.keys).length} key(s)${KEY_DIR ? ` from ${KEY_DIR}` : ' from bundle'}` : 'none'}`);
+    console.log(`File hash  : ${report.fileHash.actual}${report.fileHash.stored ? (report.fileHash.match ? ' (matches meta)' : ` (meta says ${report.fileHash.stored})`) : ''}`);
+    console.log(`Chain head : ${head}`);
+    if (rotations.length) {
+        console.log(`Peppers    : ${rotations.length} rotation(s)${LINKS_DIR ? `, links from ${LINKS_DIR}` : ', links not checked'}`);
+    }
+    for (const issue of report.issues) {
+        console.log(`  ✗ ${issue.reason}${issue.line ? ` (line ${issue.line})` : ''}`);
+    }
+    console.log(report.valid
+        ? '✅  Ledger verified.'
+        : `❌  ${report.issues.length} integrity issue(s).${report.lastKnownGood ? ` Last known good: line ${report.lastKnownGood.line}.` : ''}`);
+}
+
+process.exit(report.valid ? 0 : 1);